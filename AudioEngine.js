@@ -0,0 +1,235 @@
+/**
+ * POSITIONAL AUDIO ENGINE
+ * Web Audio replacement for cloned <audio> elements:
+ * - THREE.AudioListener rides on the bodycam, so sounds pan with head turns
+ * - one-shots and loops placed in the world with distance attenuation
+ * - speed-of-sound delay for far-away events (flash first, bang later)
+ * - loops return a handle that stops and disconnects them cleanly
+ * - captureStream() taps the mix for recording
+ */
+import * as THREE from 'three';
+
+const SPEED_OF_SOUND = 343; // m/s
+
+const _listenerPos = new THREE.Vector3();
+const _sourcePos = new THREE.Vector3();
+
+export class AudioEngine {
+    /**
+     * @param {THREE.Object3D} attachTo - object the listener follows (the bodycam)
+     * @param {THREE.Scene} scene - where free-standing sound emitters are placed
+     * @param {object} options
+     * @param {(delay: number, fn: Function) => any} options.schedule - delay in seconds (use the sim clock)
+     * @param {(id: any) => void} options.cancel - cancels a scheduled call
+     */
+    constructor(attachTo, scene, options = {}) {
+        this.scene = scene;
+        this.listener = new THREE.AudioListener();
+        attachTo.add(this.listener);
+
+        this.loader = new THREE.AudioLoader();
+        this.buffers = {};      // key -> AudioBuffer, or null when the file is missing
+        this.loading = {};      // key -> Promise
+        this.active = new Set();
+
+        this.schedule = options.schedule || ((delay, fn) => setTimeout(fn, delay * 1000));
+        this.cancel = options.cancel || (id => clearTimeout(id));
+        this.speedOfSound = options.speedOfSound || SPEED_OF_SOUND;
+        this.defaults = {
+            refDistance: 5,
+            rolloffFactor: 1,
+            distanceModel: 'inverse',
+            ...options.defaults
+        };
+    }
+
+    get context() {
+        return this.listener.context;
+    }
+
+    // Move the listener to another camera (e.g. switching bodycams)
+    attachTo(object) {
+        if (this.listener.parent === object) return;
+        if (this.listener.parent) this.listener.parent.remove(this.listener);
+        object.add(this.listener);
+    }
+
+    // Browsers start the context suspended until a user gesture
+    unlock() {
+        if (this.context.state === 'suspended' && !this.paused) {
+            this.context.resume();
+        }
+    }
+
+    // Freezes every playing sound in place (used when the simulation pauses)
+    setPaused(paused) {
+        this.paused = paused;
+        if (paused) this.context.suspend();
+        else this.context.resume();
+    }
+
+    // Everything the listener hears as a MediaStream (for recording the feed).
+    // Taps the listener's output, so it follows bodycam switches.
+    captureStream() {
+        if (!this.streamTap) {
+            this.streamTap = this.context.createMediaStreamDestination();
+            this.listener.getInput().connect(this.streamTap);
+        }
+        return this.streamTap.stream;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} url
+     * @param {(context: AudioContext) => AudioBuffer|null} [fallback] - builds a
+     *        buffer when the file is missing or can't be decoded
+     */
+    load(key, url, fallback = null) {
+        if (!this.loading[key]) {
+            this.loading[key] = this.loader.loadAsync(url)
+                .then(buffer => (this.buffers[key] = buffer))
+                .catch(() => (this.buffers[key] = fallback ? fallback(this.context) : null));
+        }
+        return this.loading[key];
+    }
+
+    /**
+     * Play a loaded sound.
+     * @param {string} key
+     * @param {object} [opts]
+     * @param {THREE.Vector3} [opts.position] - fixed world position (positional)
+     * @param {THREE.Object3D} [opts.object] - moving emitter to follow (positional)
+     * @param {number} [opts.volume=1]
+     * @param {boolean} [opts.loop=false]
+     * @param {number} [opts.refDistance] - distance at which the sound is at full volume
+     * @param {number} [opts.playbackRate=1]
+     * @param {boolean} [opts.propagate] - delay by distance / speed of sound
+     *        (default: on for positional one-shots)
+     * @returns {object|null} handle with stop() and setVolume(), or null if the sound isn't available
+     */
+    play(key, opts = {}) {
+        const buffer = this.buffers[key];
+        if (!buffer) return null;
+
+        const positional = !!(opts.position || opts.object);
+        const loop = !!opts.loop;
+        const handle = {
+            key,
+            sound: null,
+            emitter: null,
+            timer: null,
+            stopped: false,
+            released: false,
+            stop: () => this.stop(handle),
+            setVolume: (v) => handle.sound && handle.sound.setVolume(Math.max(0, v)),
+            setPlaybackRate: (r) => handle.sound && handle.sound.setPlaybackRate(r)
+        };
+
+        const start = () => {
+            handle.timer = null;
+            if (handle.stopped) return;
+
+            const sound = positional
+                ? new THREE.PositionalAudio(this.listener)
+                : new THREE.Audio(this.listener);
+            sound.setBuffer(buffer);
+            sound.setLoop(loop);
+            sound.setVolume(Math.max(0, opts.volume ?? 1));
+            if (opts.playbackRate) sound.setPlaybackRate(opts.playbackRate);
+
+            if (positional) {
+                sound.setRefDistance(opts.refDistance ?? this.defaults.refDistance);
+                sound.setRolloffFactor(opts.rolloffFactor ?? this.defaults.rolloffFactor);
+                sound.setDistanceModel(this.defaults.distanceModel);
+
+                if (opts.object) {
+                    opts.object.add(sound);
+                } else {
+                    // Free-standing emitter at a fixed point
+                    handle.emitter = new THREE.Object3D();
+                    handle.emitter.position.copy(opts.position);
+                    handle.emitter.add(sound);
+                    this.scene.add(handle.emitter);
+                }
+                (opts.object || handle.emitter).updateMatrixWorld(true);
+                sound.getWorldPosition(_sourcePos);
+                this.placePanner(sound, _sourcePos);
+            }
+
+            // One-shots tidy themselves up when they finish
+            sound.onEnded = () => {
+                THREE.Audio.prototype.onEnded.call(sound);
+                if (!loop) this.release(handle);
+            };
+
+            handle.sound = sound;
+            this.active.add(handle);
+            sound.play();
+        };
+
+        const propagate = opts.propagate ?? (positional && !loop);
+        const delay = propagate ? this.propagationDelay(opts.position || opts.object.getWorldPosition(_sourcePos)) : 0;
+
+        if (delay > 0.01) {
+            this.active.add(handle);
+            handle.timer = this.schedule(delay, start);
+        } else {
+            start();
+        }
+        return handle;
+    }
+
+    stop(handle) {
+        if (!handle || handle.stopped) return;
+        handle.stopped = true;
+        if (handle.timer !== null) {
+            this.cancel(handle.timer);
+            handle.timer = null;
+        }
+        if (handle.sound && handle.sound.isPlaying) {
+            handle.sound.stop();
+        }
+        this.release(handle);
+    }
+
+    stopAll() {
+        for (const handle of [...this.active]) this.stop(handle);
+    }
+
+    // Seconds for sound to travel from a world position to the listener
+    propagationDelay(position) {
+        this.listener.getWorldPosition(_listenerPos);
+        return position.distanceTo(_listenerPos) / this.speedOfSound;
+    }
+
+    // Set the panner immediately - PositionalAudio otherwise ramps in from the origin
+    placePanner(sound, position) {
+        const panner = sound.panner;
+        if (panner.positionX) {
+            const t = this.context.currentTime;
+            panner.positionX.setValueAtTime(position.x, t);
+            panner.positionY.setValueAtTime(position.y, t);
+            panner.positionZ.setValueAtTime(position.z, t);
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
+        }
+    }
+
+    // Disconnect the nodes and detach the emitter (runs once per handle)
+    release(handle) {
+        handle.stopped = true;
+        if (handle.released) return;
+        handle.released = true;
+        this.active.delete(handle);
+        const sound = handle.sound;
+        if (sound) {
+            if (sound.source) sound.disconnect();
+            sound.gain.disconnect();
+            if (sound.parent) sound.parent.remove(sound);
+        }
+        if (handle.emitter) {
+            this.scene.remove(handle.emitter);
+            handle.emitter = null;
+        }
+    }
+}
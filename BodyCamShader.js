@@ -7,6 +7,10 @@
  * - Interlacing artifacts
  * - Heavy vignette
  * - IR/Night vision color grading
+ * - Injury: blurred vision and red, pulsing edges (from the wearer's health)
+ *
+ * Every stage has its own uniforms (defaults below are the bodycam look);
+ * CameraPresets.js sets them all at once for other kinds of camera.
  */
 export const BodyCamShader = {
     uniforms: {
@@ -14,7 +18,26 @@ export const BodyCamShader = {
         'time': { value: 0.0 },
         'intensity': { value: 1.0 },
         'distortion': { value: 0.3 },
-        'aberration': { value: 0.0015 }
+        'aberration': { value: 0.0015 },
+        'scanlines': { value: 0.015 },      // Scanline darkening
+        'scanlineCount': { value: 400.0 },  // Scanline frequency (higher = finer lines)
+        'interlace': { value: 0.01 },       // Rolling interlace darkening
+        'grain': { value: 0.06 },
+        'grainFps': { value: 24.0 },        // How often the grain pattern changes
+        'glitchRate': { value: 0.002 },     // Share of rows glitching at any moment
+        'glitch': { value: 1.0 },           // Glitch line brightness
+        'blockSize': { value: 1 / 120 },    // Compression block, as a fraction of the frame
+        'compression': { value: 0.02 },     // Blockiness
+        'vignette': { value: 1.0 },
+        'edgeDarkening': { value: 0.2 },    // Lens housing at the very edge
+        'desaturation': { value: 0.25 },    // 1 = black and white, < 0 oversaturates
+        'tint': { value: [1.02, 1.0, 0.98] },
+        'shadowLift': { value: 0.1 },
+        'flicker': { value: 0.01 },         // Old CCD brightness flicker
+        'frameAspect': { value: 0.0 },      // Picture width / height inside the frame (0 = fill it)
+        'aspect': { value: 16 / 9 },        // The frame's width / height - set by main.js
+        'blur': { value: 0.0 },         // 0-1, concussion blur
+        'injury': { value: 0.0 }        // 0-1, red tint at the edges
     },
 
     vertexShader: /* glsl */`
@@ -31,6 +54,25 @@ export const BodyCamShader = {
         uniform float intensity;
         uniform float distortion;
         uniform float aberration;
+        uniform float scanlines;
+        uniform float scanlineCount;
+        uniform float interlace;
+        uniform float grain;
+        uniform float grainFps;
+        uniform float glitchRate;
+        uniform float glitch;
+        uniform float blockSize;
+        uniform float compression;
+        uniform float vignette;
+        uniform float edgeDarkening;
+        uniform float desaturation;
+        uniform vec3 tint;
+        uniform float shadowLift;
+        uniform float flicker;
+        uniform float frameAspect;
+        uniform float aspect;
+        uniform float blur;
+        uniform float injury;
         varying vec2 vUv;
 
         // High-quality noise
@@ -81,52 +123,73 @@ export const BodyCamShader = {
             
             vec3 color = vec3(r, g, b);
 
+            // === 2b. CONCUSSION BLUR ===
+            if (blur > 0.001) {
+                float radius = blur * 0.012;
+                vec3 sum = color;
+                for (int i = 0; i < 8; i++) {
+                    float angle = float(i) * 0.785398;
+                    sum += texture2D(tDiffuse, distortedUv + vec2(cos(angle), sin(angle)) * radius).rgb;
+                }
+                color = mix(color, sum / 9.0, min(1.0, blur * 2.0));
+            }
+
             // === 3. INTERLACING / SCANLINES ===
-            float scanline = sin(uv.y * 400.0) * 0.015;
-            float interlace = step(0.5, fract(uv.y * 200.0 + time * 0.5)) * 0.01;
-            color -= scanline + interlace;
+            float scanline = sin(uv.y * scanlineCount) * scanlines;
+            float interlaceLine = step(0.5, fract(uv.y * scanlineCount * 0.5 + time * 0.5)) * interlace;
+            color -= scanline + interlaceLine;
 
             // === 4. TEMPORAL NOISE / GRAIN ===
-            float grainTime = floor(time * 24.0) / 24.0; // 24fps grain
-            float grain = (noise(uv * 500.0 + grainTime * 100.0) - 0.5) * 0.06;
-            color += grain;
+            float grainTime = floor(time * grainFps) / grainFps;
+            float grainNoise = (noise(uv * 500.0 + grainTime * 100.0) - 0.5) * grain;
+            color += grainNoise;
             
             // Occasional horizontal glitch lines
-            float glitchLine = step(0.998, noise(vec2(time * 2.0, floor(uv.y * 50.0))));
-            color += glitchLine * vec3(0.05, 0.025, 0.0);
+            float glitchLine = step(1.0 - glitchRate, noise(vec2(time * 2.0, floor(uv.y * 50.0))));
+            color += glitchLine * vec3(0.05, 0.025, 0.0) * glitch;
 
             // === 5. COMPRESSION ARTIFACTS ===
             // Subtle blockiness
-            vec2 blockUv = floor(uv * 120.0) / 120.0;
-            float block = noise(blockUv + floor(time)) * 0.02;
+            vec2 blockUv = floor(uv / blockSize) * blockSize;
+            float block = noise(blockUv + floor(time)) * compression;
             color += block;
 
             // === 6. VIGNETTE ===
             // Moderate vignette like bodycam housing
-            float vignette = 1.0 - smoothstep(0.4, 1.0, dist * 1.2);
-            vignette = pow(vignette, 1.2);
-            color *= vignette;
+            float vignetteAmount = 1.0 - smoothstep(0.4, 1.0, dist * 1.2);
+            vignetteAmount = pow(vignetteAmount, 1.2);
+            color *= mix(1.0, vignetteAmount, vignette);
+
+            // === 6b. INJURY - red edges pulsing like a heartbeat ===
+            float pulse = 0.75 + 0.25 * sin(time * 6.0);
+            float bleed = injury * smoothstep(0.2, 0.75, dist) * pulse;
+            color = mix(color, vec3(0.45, 0.0, 0.0), bleed * 0.7);
+            color *= mix(vec3(1.0), vec3(1.1, 0.75, 0.75), injury * 0.5);
 
             // === 7. COLOR GRADING ===
-            // Slight desaturation for bodycam look
+            // Desaturation (partial for the bodycam look)
             float luma = dot(color, vec3(0.299, 0.587, 0.114));
-            color = mix(color, vec3(luma), 0.25); // Partial desaturation
+            color = mix(color, vec3(luma), desaturation);
             
-            // Slight warm tint
-            color.r *= 1.02;
-            color.b *= 0.98;
+            // Tint (slightly warm by default)
+            color *= tint;
             
-            // Lift shadows slightly for visibility
-            color = smoothstep(vec3(-0.1), vec3(1.05), color);
+            // Lift shadows for visibility
+            color = smoothstep(vec3(-shadowLift), vec3(1.05), color);
             
             // === 8. TIMESTAMP BURN-IN SIMULATION ===
             // Slight brightness variation to simulate old CCD sensor
-            float sensorNoise = sin(time * 60.0) * 0.01 + sin(time * 120.0) * 0.005;
+            float sensorNoise = (sin(time * 60.0) + sin(time * 120.0) * 0.5) * flicker;
             color += sensorNoise;
 
             // === 9. EDGE DARKENING (lens housing) ===
             float edgeDark = smoothstep(0.5, 0.65, dist);
-            color *= 1.0 - edgeDark * 0.2;
+            color *= 1.0 - edgeDark * edgeDarkening;
+
+            // === 10. FRAME SHAPE - e.g. vertical phone video, black bars either side ===
+            if (frameAspect > 0.0 && abs(vUv.x - 0.5) > frameAspect / aspect * 0.5) {
+                color = vec3(0.0);
+            }
 
             gl_FragColor = vec4(color, 1.0);
         }
@@ -0,0 +1,122 @@
+/**
+ * CAMERA PRESETS
+ * Named looks for BodyCamShader - what kind of camera the footage came from.
+ * Each preset only lists the uniforms it changes; the rest go back to the
+ * shader's defaults (the bodycam look), so switching presets never leaves
+ * one camera's settings behind in another. Injury blur and the red edges
+ * stay with the wearer, whatever the camera.
+ */
+import { BodyCamShader } from './BodyCamShader.js';
+
+export const CAMERA_PRESETS = {
+    bodycam: {
+        label: 'Modern police bodycam',
+        uniforms: {}                    // The shader's defaults
+    },
+    dashcam: {
+        label: 'Cheap dashcam',
+        uniforms: {
+            distortion: 0.45,           // Very wide lens
+            aberration: 0.003,
+            scanlines: 0.0,
+            interlace: 0.0,
+            grain: 0.1,
+            grainFps: 15.0,
+            glitchRate: 0.01,
+            glitch: 2.0,
+            blockSize: 1 / 48,          // Starved bitrate
+            compression: 0.06,
+            vignette: 0.6,
+            desaturation: 0.1,
+            tint: [1.0, 1.02, 0.96],    // Green cast
+            shadowLift: 0.02,           // Crushed blacks
+            flicker: 0.02,
+            edgeDarkening: 0.1
+        }
+    },
+    cctv: {
+        label: 'CCTV mono',
+        uniforms: {
+            distortion: 0.15,
+            aberration: 0.0,
+            scanlines: 0.03,
+            scanlineCount: 600.0,
+            interlace: 0.03,
+            grain: 0.1,
+            grainFps: 12.0,             // Low frame rate recorder
+            glitchRate: 0.004,
+            blockSize: 1 / 64,
+            compression: 0.04,
+            vignette: 0.8,
+            desaturation: 1.0,
+            tint: [0.95, 1.0, 0.95],
+            shadowLift: 0.15,
+            flicker: 0.015,
+            edgeDarkening: 0.3
+        }
+    },
+    phone: {
+        label: 'Phone vertical video',
+        uniforms: {
+            distortion: 0.05,
+            aberration: 0.0005,
+            scanlines: 0.0,
+            interlace: 0.0,
+            grain: 0.03,
+            grainFps: 30.0,
+            glitchRate: 0.0,
+            blockSize: 1 / 160,
+            compression: 0.015,
+            vignette: 0.2,
+            desaturation: -0.1,         // Phone processing - punchy colours
+            tint: [1.0, 1.0, 1.0],
+            shadowLift: 0.05,
+            flicker: 0.0,
+            edgeDarkening: 0.0,
+            frameAspect: 9 / 16         // Held upright, black bars either side
+        }
+    },
+    camcorder: {
+        label: '90s camcorder',
+        uniforms: {
+            distortion: 0.2,
+            aberration: 0.004,          // Chroma bleed
+            scanlines: 0.04,
+            scanlineCount: 480.0,
+            interlace: 0.03,
+            grain: 0.08,
+            grainFps: 30.0,
+            glitchRate: 0.006,          // Tape dropouts
+            glitch: 3.0,
+            compression: 0.0,           // Analog tape - no blocks
+            vignette: 0.7,
+            desaturation: -0.15,
+            tint: [1.06, 1.0, 0.9],     // Warm, faded
+            shadowLift: 0.12,
+            flicker: 0.02,
+            edgeDarkening: 0.15
+        }
+    }
+};
+
+// Every uniform a preset may set, at its BodyCamShader default
+const PRESET_UNIFORMS = Object.fromEntries(
+    Object.entries(BodyCamShader.uniforms)
+        .filter(([key]) => !['tDiffuse', 'time', 'aspect', 'blur', 'injury'].includes(key))
+        .map(([key, uniform]) => [key, uniform.value])
+);
+
+/**
+ * Sets a BodyCamShader pass's uniforms to a preset.
+ * @param {ShaderPass} pass - a pass made from BodyCamShader
+ * @param {string} name - a CAMERA_PRESETS key
+ */
+export function applyCameraPreset(pass, name) {
+    const preset = CAMERA_PRESETS[name];
+    if (!preset) {
+        throw new Error(`Unknown camera preset "${name}" (known: ${Object.keys(CAMERA_PRESETS).join(', ')})`);
+    }
+    for (const [key, value] of Object.entries({ ...PRESET_UNIFORMS, ...preset.uniforms })) {
+        pass.uniforms[key].value = Array.isArray(value) ? [...value] : value;
+    }
+}
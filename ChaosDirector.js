@@ -0,0 +1,187 @@
+/**
+ * CHAOS DIRECTOR
+ * Paces random chaos along a tension curve instead of uniform noise:
+ * - BUILDUP: tension climbs, events come closer together and get nastier
+ * - PEAK: rapid, severe events, chains are likely
+ * - RELIEF: only quiet beats, held until the NPC has calmed down
+ * - escalation: every cycle starts tenser and peaks harder than the last
+ * - never the same event type twice in a row
+ *
+ * Event severity comes from each event's declared threat (ChaosRegistry),
+ * so module events are paced like the built-in ones.
+ */
+
+export const PHASES = {
+    BUILDUP: 'BUILDUP',
+    PEAK: 'PEAK',
+    RELIEF: 'RELIEF'
+};
+
+const NEXT_PHASE = {
+    BUILDUP: PHASES.PEAK,
+    PEAK: PHASES.RELIEF,
+    RELIEF: PHASES.BUILDUP
+};
+
+export class ChaosDirector {
+    /**
+     * @param {object} options
+     * @param {ChaosRegistry} options.registry
+     * @param {SimClock} options.clock
+     * @param {SeededRandom} options.rng
+     * @param {object} options.config - CONFIG.director
+     * @param {(id: string) => void} options.fire - spawns an event
+     * @param {() => number} [options.getStress] - NPC stress 0-1 (alert level)
+     */
+    constructor({ registry, clock, rng, config, fire, getStress = () => 0 }) {
+        this.registry = registry;
+        this.clock = clock;
+        this.rng = rng;
+        this.config = config;
+        this.fire = fire;
+        this.getStress = getStress;
+
+        this.phase = PHASES.BUILDUP;
+        this.phaseStart = 0;
+        this.phaseDuration = 0;
+        this.cycle = 0;
+        this.escalation = 0;
+        this.lastEvent = null;
+        this.timers = new Set();
+    }
+
+    start() {
+        this.stop();
+        this.cycle = 0;
+        this.escalation = 0;
+        this.lastEvent = null;
+        this.enterPhase(PHASES.BUILDUP);
+        this.scheduleBeat();
+    }
+
+    stop() {
+        for (const id of this.timers) this.clock.cancel(id);
+        this.timers.clear();
+    }
+
+    // 0-1: how hard the director is pushing right now
+    get tension() {
+        const c = this.config;
+        const base = Math.min(1, c.baseTension + this.escalation * c.escalationTension);
+        const peak = Math.min(1, c.peakTension + this.escalation * (1 - c.peakTension));
+        const u = Math.min(1, (this.clock.time - this.phaseStart) / Math.max(this.phaseDuration, 1e-3));
+
+        switch (this.phase) {
+            case PHASES.BUILDUP:
+                return base + (peak - base) * u * u; // Slow start, steep finish
+            case PHASES.PEAK:
+                return peak;
+            default:
+                // Drop off quickly, then settle below the baseline
+                return peak + (base * 0.5 - peak) * Math.min(1, u * 3);
+        }
+    }
+
+    getState() {
+        return {
+            phase: this.phase,
+            tension: this.tension,
+            escalation: this.escalation,
+            cycle: this.cycle,
+            lastEvent: this.lastEvent
+        };
+    }
+
+    enterPhase(phase) {
+        const c = this.config;
+        this.phase = phase;
+        this.phaseStart = this.clock.time;
+
+        let [min, max] = c.phases[phase];
+        if (phase === PHASES.BUILDUP) {
+            // Later cycles build up faster
+            const shrink = 1 - this.escalation * 0.3;
+            min *= shrink;
+            max *= shrink;
+        }
+        this.phaseDuration = this.rng.range(min, max);
+        console.log(`Director: ${phase} (cycle ${this.cycle + 1}, escalation ${this.escalation.toFixed(2)})`);
+
+        this.after(this.phaseDuration, () => this.endPhase());
+    }
+
+    endPhase() {
+        // Relief holds until the NPC has calmed down (up to twice as long)
+        if (this.phase === PHASES.RELIEF &&
+            this.getStress() > this.config.reliefCalmLevel &&
+            this.clock.time - this.phaseStart < this.phaseDuration * 2) {
+            this.after(1, () => this.endPhase());
+            return;
+        }
+
+        if (this.phase === PHASES.RELIEF) {
+            this.cycle++;
+            this.escalation = Math.min(this.config.maxEscalation, this.escalation + this.config.escalationPerCycle);
+        }
+        this.enterPhase(NEXT_PHASE[this.phase]);
+    }
+
+    scheduleBeat() {
+        const c = this.config;
+        const t = this.tension;
+        const min = c.calmInterval[0] + (c.peakInterval[0] - c.calmInterval[0]) * t;
+        const max = c.calmInterval[1] + (c.peakInterval[1] - c.calmInterval[1]) * t;
+
+        // Outside relief, events come faster when the NPC is already stressed
+        const stressMod = this.phase === PHASES.RELIEF ? 1 : 1 - this.getStress() * 0.3;
+        const delay = this.rng.range(min, max) * stressMod;
+
+        this.after(delay, () => {
+            this.beat();
+            this.scheduleBeat();
+        });
+    }
+
+    beat() {
+        if (!this.fireOne()) return;
+
+        // Chains - tense moments come in rapid succession
+        if (this.rng.next() < this.config.chainChance * this.tension) {
+            this.after(this.rng.range(0.8, 2.3), () => this.fireOne());
+            if (this.rng.next() < 0.3) {
+                this.after(this.rng.range(2, 4), () => this.fireOne());
+            }
+        }
+    }
+
+    fireOne() {
+        const id = this.pickEvent();
+        if (!id) return false;
+        this.lastEvent = id;
+        this.fire(id);
+        return true;
+    }
+
+    // Weighted pick that favours events whose severity matches the current
+    // tension, skips ones too severe for it, and never repeats the last event
+    pickEvent() {
+        const t = this.tension;
+        const maxSeverity = 0.35 + t * 0.75;
+
+        return this.registry.pick(this.rng, this.clock.time, (event) => {
+            if (event.id === this.lastEvent && this.registry.ids().length > 1) return 0;
+            const severity = event.threat ? event.threat.severity : 0;
+            if (severity > maxSeverity) return 0;
+            return event.weight * (1 - Math.min(0.9, Math.abs(severity - t)));
+        });
+    }
+
+    after(delay, fn) {
+        const id = this.clock.after(delay, () => {
+            this.timers.delete(id);
+            fn();
+        });
+        this.timers.add(id);
+        return id;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * CHAOS EVENT REGISTRY
+ * Every chaos event - built-in or shipped as its own module - is registered here:
+ * - id: what scenarios and the director refer to
+ * - weight / cooldown: how often random chaos picks it
+ * - spawn(ctx, opts): builds the event; returns where the danger is
+ * - threat: declared danger, emitted as a stimulus (sound and sight) - each
+ *   civilian reacts to what they actually see or hear of it (see Perception.js)
+ *
+ * An event module just registers itself on import (list it in CONFIG.chaosModules):
+ *
+ *   import { registerChaosEvent } from '../ChaosRegistry.js';
+ *
+ *   registerChaosEvent({
+ *       id: 'sinkhole',
+ *       weight: 0.05,
+ *       cooldown: 30,
+ *       threat: { severity: 0.7, loudness: 0.5, visibleFor: 4 },
+ *       spawn(ctx, opts) {
+ *           const pos = opts.position || ctx.npcState().position.add(new ctx.THREE.Vector3(5, 0, 0));
+ *           ctx.playSound('debris', { position: pos });
+ *           return { position: pos };
+ *       }
+ *   });
+ *
+ * Threat fields (all optional except severity):
+ * - severity 0-1: < 0.25 only raises alertness, < 0.6 makes the NPC look, above that they panic
+ * - response: force 'notice' | 'look' | 'panic' | 'cower' instead of deriving it
+ * - duration: seconds of panic / cowering
+ * - escalateChance / escalateAfter: chance (0-1) that looking turns into panic, and when
+ * - position: fixed danger position, if spawn() doesn't return one
+ * - source: anything with a .position the danger follows (a moving car, a runner) -
+ *   usually returned by spawn(), so the NPC's cover choice tracks it
+ * - loudness 0-1: how far it's heard (1 carries ~150m, 0 is silent)
+ * - visibleFor: seconds it can be seen (0 = only heard)
+ *
+ * Spawners can emit extra stimuli of their own with ctx.emitStimulus({ position,
+ * severity, loudness, visibleFor, ... }).
+ */
+
+export class ChaosRegistry {
+    constructor() {
+        this.events = new Map();    // id -> definition, in registration order
+        this.lastFired = new Map(); // id -> sim time
+    }
+
+    register(def) {
+        if (!def || typeof def.id !== 'string' || !def.id) {
+            throw new Error('Chaos event needs a string id');
+        }
+        if (typeof def.spawn !== 'function') {
+            throw new Error(`Chaos event "${def.id}" needs a spawn(ctx, opts) function`);
+        }
+        if (this.events.has(def.id)) {
+            throw new Error(`Chaos event "${def.id}" is already registered`);
+        }
+        if (def.threat && typeof def.threat.severity !== 'number') {
+            throw new Error(`Chaos event "${def.id}": threat.severity must be a number (0-1)`);
+        }
+
+        const event = {
+            weight: 1,
+            cooldown: 0,
+            threat: null,
+            ...def
+        };
+        this.events.set(event.id, event);
+        return event;
+    }
+
+    unregister(id) {
+        this.lastFired.delete(id);
+        return this.events.delete(id);
+    }
+
+    get(id) {
+        return this.events.get(id) || null;
+    }
+
+    ids() {
+        return [...this.events.keys()];
+    }
+
+    isReady(id, now) {
+        const event = this.events.get(id);
+        if (!event) return false;
+        const last = this.lastFired.get(id);
+        return last === undefined || now - last >= event.cooldown;
+    }
+
+    markFired(id, now) {
+        this.lastFired.set(id, now);
+    }
+
+    // Weighted random pick among events that are off cooldown (null if none are).
+    // adjust(event) can replace an event's weight (0 rules it out).
+    // Takes exactly one roll from rng so other picks stay reproducible.
+    pick(rng, now, adjust = null) {
+        const ready = [...this.events.values()]
+            .filter(e => this.isReady(e.id, now))
+            .map(e => ({ id: e.id, weight: adjust ? adjust(e) : e.weight }))
+            .filter(e => e.weight > 0);
+        const total = ready.reduce((sum, e) => sum + e.weight, 0);
+        let roll = rng.next() * total;
+        if (ready.length === 0) return null;
+
+        for (const event of ready) {
+            roll -= event.weight;
+            if (roll < 0) return event.id;
+        }
+        return ready[ready.length - 1].id;
+    }
+}
+
+// Shared registry - event modules register into it on import
+export const chaosRegistry = new ChaosRegistry();
+
+export function registerChaosEvent(def) {
+    return chaosRegistry.register(def);
+}
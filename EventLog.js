@@ -0,0 +1,146 @@
+/**
+ * EVENT LOG & REPLAY
+ * A structured record of a run, downloadable as JSON, that can play the run back exactly:
+ * - setup: seed, scenario and the simulation settings in force
+ * - inputs: anything from outside the simulation that changed it (chaos
+ *   triggered by hand, with where it landed; which civilian the run follows),
+ *   stamped with the tick they came before
+ * - events: what happened - chaos events, NPC state and target changes,
+ *   injuries - for reading, and for checking a replay against
+ *
+ * Everything else (director picks, AI rolls, physics) follows from the fixed
+ * tick and the seeded random streams, so replaying is the same setup with the
+ * inputs re-applied at the same ticks. Rendering isn't part of it - replays
+ * can use different shader and HUD settings.
+ */
+
+export const LOG_VERSION = 1;
+
+export class EventLog {
+    /**
+     * @param {object} options
+     * @param {SimClock} options.clock
+     * @param {object} options.setup - { seed, scenario, config }
+     * @param {object[]} [options.expect] - events of the run being replayed;
+     *   the first difference is reported
+     */
+    constructor({ clock, setup, expect = null }) {
+        this.clock = clock;
+        this.setup = setup;
+        this.inputs = [];
+        this.events = [];
+        this.expect = expect;
+        this.diverged = false;
+    }
+
+    // Something from outside the simulation, applied before the next tick
+    input(type, data = {}) {
+        this.inputs.push({ tick: this.clock.frame, type, ...serialize(data) });
+    }
+
+    // Something that happened in the simulation
+    record(type, data = {}) {
+        const entry = { tick: this.clock.frame, time: round(this.clock.time), type, ...serialize(data) };
+        this.events.push(entry);
+        if (this.expect && !this.diverged) this.check(entry, this.expect[this.events.length - 1]);
+    }
+
+    check(entry, expected) {
+        if (!expected || JSON.stringify(entry) === JSON.stringify(expected)) return;
+        this.diverged = true;
+        console.warn(`Replay diverged at tick ${entry.tick}:`, { expected, got: entry });
+    }
+
+    // A replayed chaos input should land where it did in the recording (at)
+    checkPosition(input, position) {
+        if (!input.at || this.diverged) return;
+        const got = position ? serialize({ at: position }).at : null;
+        if (JSON.stringify(got) === JSON.stringify(input.at)) return;
+        this.diverged = true;
+        console.warn(`Replay diverged at tick ${input.tick}: ${input.id} landed elsewhere`, { expected: input.at, got });
+    }
+
+    // At the end of a replay: did it log exactly what the recording did?
+    // Returns null when there's nothing to compare with.
+    verify(note = '') {
+        if (!this.expect) return null;
+        const matched = !this.diverged && JSON.stringify(this.events) === JSON.stringify(this.expect);
+        const detail = `${this.events.length}/${this.expect.length} events${note ? `, ${note}` : ''}`;
+        if (matched) console.log(`Replay matched the recording (${detail})`);
+        else console.warn(`Replay did not match the recording (${detail})`);
+        return matched;
+    }
+
+    toJSON() {
+        return {
+            version: LOG_VERSION,
+            ...this.setup,
+            ticks: this.clock.frame,
+            inputs: this.inputs,
+            events: this.events
+        };
+    }
+
+    download(filename) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        console.log(`Saved ${filename} (${this.events.length} events, ${this.inputs.length} inputs)`);
+    }
+}
+
+/**
+ * Plays a log's inputs back on the ticks they were recorded before.
+ */
+export class Replay {
+    /**
+     * @param {object} log - EventLog JSON
+     * @param {string} [source] - for error messages
+     */
+    constructor(log, source = 'replay') {
+        if (!log || typeof log !== 'object' || !Array.isArray(log.inputs)) {
+            throw new Error(`${source}: not an event log`);
+        }
+        if (log.version !== LOG_VERSION) {
+            throw new Error(`${source}: log version ${log.version}, expected ${LOG_VERSION}`);
+        }
+        this.seed = log.seed;
+        this.scenario = log.scenario ?? null;
+        this.config = log.config ?? {};
+        this.ticks = log.ticks ?? 0;
+        this.events = log.events ?? null;
+        this.inputs = [...log.inputs].sort((a, b) => a.tick - b.tick);
+        this.next = 0;
+    }
+
+    // Inputs due before the tick after `frame` ticks
+    due(frame) {
+        const due = [];
+        while (this.next < this.inputs.length && this.inputs[this.next].tick <= frame) {
+            due.push(this.inputs[this.next++]);
+        }
+        return due;
+    }
+}
+
+// Vectors become rounded [x, y, z] arrays, numbers are rounded - keeps the
+// file small and readable
+function serialize(data) {
+    const out = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (value === undefined) continue;
+        if (typeof value === 'number') out[key] = round(value);
+        else if (value && typeof value === 'object' && typeof value.x === 'number') {
+            out[key] = [round(value.x), round(value.y), round(value.z)];
+        } else out[key] = value;
+    }
+    return out;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,147 @@
+/**
+ * FRAME EXPORT
+ * Where an offline render's numbered PNGs go:
+ * - 'directory': straight into a folder the user picks (File System Access
+ *   API), one file per frame - nothing piles up in memory
+ * - 'zip': one download at the end, built by ZipWriter (frames held until then)
+ * Browsers without a folder picker get the ZIP.
+ */
+
+export class FrameExporter {
+    /**
+     * @param {string} format - 'directory' or 'zip'
+     * @param {string} name - ZIP file name (without .zip)
+     */
+    static async open(format, name) {
+        if (format === 'directory' && !window.showDirectoryPicker) {
+            console.warn('No folder picker in this browser - exporting a ZIP instead');
+            format = 'zip';
+        }
+        if (format === 'directory') {
+            const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            return new FrameExporter({ directory });
+        }
+        if (format === 'zip') return new FrameExporter({ zip: new ZipWriter(), name });
+        throw new Error(`Unknown export format "${format}" (known: directory, zip)`);
+    }
+
+    constructor({ directory = null, zip = null, name = 'frames' }) {
+        this.directory = directory;
+        this.zip = zip;
+        this.name = name;
+        this.count = 0;
+    }
+
+    async write(filename, blob) {
+        if (this.zip) {
+            await this.zip.add(filename, blob);
+        } else {
+            const handle = await this.directory.getFileHandle(filename, { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        }
+        this.count++;
+    }
+
+    // Saves the ZIP (folders are already written)
+    async close() {
+        if (!this.zip) {
+            console.log(`Exported ${this.count} frames to ${this.directory.name}/`);
+            return;
+        }
+        const blob = this.zip.finish();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.name}.zip`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        console.log(`Exported ${this.count} frames to ${link.download} (${(blob.size / 1048576).toFixed(1)} MB)`);
+    }
+}
+
+/**
+ * Store-only (uncompressed) ZIP archive - PNGs are already compressed, so
+ * deflating them again buys nothing. No ZIP64: up to 65535 files and 4 GB.
+ */
+export class ZipWriter {
+    constructor() {
+        this.parts = [];        // Local headers and file data, in order
+        this.central = [];      // Central directory records
+        this.offset = 0;
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    async add(filename, blob) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const name = new TextEncoder().encode(filename);
+        const crc = crc32(data);
+        if (this.central.length >= 0xffff || this.offset + 30 + name.length + data.length > 0xffffffff) {
+            throw new Error('ZIP is full (65535 files / 4 GB) - export to a folder instead');
+        }
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);       // UTF-8 names
+        local.setUint16(8, 0, true);            // Stored
+        local.setUint16(10, this.dosTime, true);
+        local.setUint16(12, this.dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // No extra field
+
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014b50, true);  // Central directory signature
+        record.setUint16(4, 20, true);          // Version made by
+        record.setUint16(6, 20, true);          // Version needed
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, this.dosTime, true);
+        record.setUint16(14, this.dosDate, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, data.length, true);
+        record.setUint32(24, data.length, true);
+        record.setUint16(28, name.length, true);
+        // 30-41: extra, comment, disk, attributes - all zero
+        record.setUint32(42, this.offset, true); // Where the local header is
+
+        this.parts.push(local, name, blob);
+        this.central.push(record, name);
+        this.offset += 30 + name.length + data.length;
+    }
+
+    // The finished archive
+    finish() {
+        const size = this.central.reduce((sum, part) => sum + part.byteLength, 0);
+        const count = this.central.length / 2;
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);     // End of central directory signature
+        end.setUint16(8, count, true);          // Entries on this disk
+        end.setUint16(10, count, true);         // Entries in total
+        end.setUint32(12, size, true);
+        end.setUint32(16, this.offset, true);   // Where the central directory starts
+        return new Blob([...this.parts, ...this.central, end], { type: 'application/zip' });
+    }
+}
+
+let crcTable = null;
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,230 @@
+/**
+ * IN-FRAME HUD
+ * Draws the bodycam overlay into a canvas texture, so it ends up in the
+ * frame itself (recordings, screenshots, offline renders) - composited by
+ * HudShader.js. It mirrors the HTML HUD rather than keeping its own state:
+ * every text is read from the #ui-layer elements main.js already updates,
+ * so the burnt-in overlay always says exactly what the HTML one would.
+ *
+ * Layout follows index.html's CSS, in CSS pixels scaled to the drawing
+ * buffer. Pulsing bits (REC dot, panic status, alert vignette) run on the
+ * time passed to update(), so offline renders pulse the same every time.
+ */
+import * as THREE from 'three';
+
+const FONT = "'Share Tech Mono', 'Courier New', monospace";
+const STATUS_COLORS = { panic: '#f44', cowering: '#fa4' };
+
+export class FrameHud {
+    /**
+     * @param {HTMLElement} uiLayer - #ui-layer
+     * @param {HTMLElement} [alertOverlay] - #alert-overlay (red edge pulse)
+     */
+    constructor(uiLayer, alertOverlay = null) {
+        this.ui = uiLayer;
+        this.alertOverlay = alertOverlay;
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.NoColorSpace; // Composited after tone mapping, as-is
+        this.scale = 1;
+        this.drawn = null;      // Key of what's on the canvas now
+
+        // The web font may arrive after the first draw
+        if (document.fonts) document.fonts.ready.then(() => (this.drawn = null));
+    }
+
+    /**
+     * @param {number} width - drawing buffer pixels
+     * @param {number} height
+     * @param {number} scale - drawing buffer pixels per CSS pixel
+     */
+    setSize(width, height, scale = 1) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.scale = scale;
+        this.drawn = null;
+        this.texture.dispose(); // GPU storage is fixed-size - reallocated on the next upload
+    }
+
+    // Redraws (and re-uploads) only when something visible has changed
+    update(time) {
+        const state = this.read(time);
+        const key = JSON.stringify(state);
+        if (key === this.drawn) return;
+        this.drawn = key;
+        this.draw(state);
+        this.texture.needsUpdate = true;
+    }
+
+    text(selector) {
+        const el = this.ui.querySelector(selector);
+        return el ? el.textContent.trim() : '';
+    }
+
+    // Everything the overlay shows right now, with pulses quantized so an
+    // unchanged HUD isn't redrawn every frame
+    read(time) {
+        const status = this.ui.querySelector('#npc-status');
+        const statusClass = Object.keys(STATUS_COLORS).find(name => status && status.classList.contains(name));
+        const locations = [...this.ui.querySelectorAll('.location')].map(el => el.textContent.trim());
+        const vitals = [...this.ui.querySelectorAll('.vitals')].map(el => el.textContent.trim());
+        const phone = this.ui.querySelector('#phone-overlay');
+        const health = this.ui.querySelector('#health');
+        const battery = this.text('.battery-area div');
+        const pulse = step => Math.round(step * 10) / 10;
+
+        return {
+            camId: this.text('.cam-id'),
+            locations,
+            timestamp: this.text('#timestamp'),
+            timeStatus: this.text('#time-status'),
+            // (not #clip-status - that's for whoever's saving the clip, not part of the footage)
+            status: status ? status.textContent.trim() : '',
+            statusClass: statusClass || null,
+            vitals,
+            hurt: !!health && health.classList.contains('hurt'),
+            battery,
+            phone: phone && phone.classList.contains('active') ? phone.textContent.trim() : '',
+            recPulse: pulse(0.65 + 0.35 * Math.cos(time * Math.PI * 2)),               // 1s, 1 - 0.3 opacity
+            statusBlink: statusClass === 'panic' ? (time % 0.3 < 0.15 ? 1 : 0.5) : 1,   // 0.3s blink
+            alert: this.alertOverlay && this.alertOverlay.classList.contains('active')
+                ? pulse(0.1 + 0.05 * Math.cos(time * Math.PI * 4)) : 0                  // 0.5s pulse
+        };
+    }
+
+    draw(s) {
+        const ctx = this.ctx;
+        const k = this.scale;
+        const w = this.canvas.width / k;    // CSS pixels
+        const h = this.canvas.height / k;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(k, 0, 0, k, 0, 0);
+
+        // Alert vignette (red edges while panicking)
+        if (s.alert > 0) {
+            const radius = Math.hypot(w, h) / 2;
+            const vignette = ctx.createRadialGradient(w / 2, h / 2, radius * 0.5, w / 2, h / 2, radius);
+            vignette.addColorStop(0, 'rgba(255, 0, 0, 0)');
+            vignette.addColorStop(1, `rgba(255, 0, 0, ${s.alert})`);
+            ctx.fillStyle = vignette;
+            ctx.fillRect(0, 0, w, h);
+        }
+
+        // Corner brackets and center mark
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 2;
+        const cx = w * 0.15;
+        const cy = h * 0.15;
+        const size = 40;
+        for (const [x, y, dx, dy] of [[cx, cy, 1, 1], [w - cx, cy, -1, 1], [cx, h - cy, 1, -1], [w - cx, h - cy, -1, -1]]) {
+            ctx.beginPath();
+            ctx.moveTo(x + dx * size, y + dy);
+            ctx.lineTo(x + dx, y + dy);
+            ctx.lineTo(x + dx, y + dy * size);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(w / 2, h / 2, 2.5, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Text gets the HTML HUD's shadow
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.9)';
+        ctx.shadowBlur = 2 * k;
+        ctx.textBaseline = 'top';
+
+        // Top left: camera and location
+        ctx.textAlign = 'left';
+        let y = 20 + 2;
+        this.line(s.camId, 30, y, 16, '#fff', true);
+        y += 16 * 1.6;
+        for (const location of s.locations) {
+            this.line(location, 30, y, 11, 'rgba(255, 255, 255, 0.7)');
+            y += 11 * 1.6;
+        }
+
+        // Top right: REC, timecode, time control
+        ctx.textAlign = 'right';
+        y = 20 + 2;
+        const recWidth = this.line('REC', w - 30, y, 14, 'rgba(255, 255, 255, 0.85)', true);
+        ctx.save();
+        ctx.globalAlpha = s.recPulse;
+        ctx.fillStyle = '#ff0000';
+        ctx.shadowColor = '#ff0000';
+        ctx.shadowBlur = 8 * k;
+        ctx.beginPath();
+        ctx.arc(w - 30 - recWidth - 8 - 5, y + 8, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+        y += 14 * 1.6;
+        this.line(s.timestamp, w - 30, y, 15, '#fff');
+        y += 15 * 1.6;
+        if (s.timeStatus) this.line(s.timeStatus, w - 30, y, 11, 'rgba(255, 255, 255, 0.6)');
+
+        // Phone call
+        if (s.phone) {
+            ctx.textAlign = 'center';
+            ctx.font = `12px ${FONT}`;
+            const boxWidth = ctx.measureText(s.phone).width + 24;
+            const boxTop = h - 90 - 26;
+            ctx.save();
+            ctx.shadowColor = 'transparent';
+            ctx.fillStyle = 'rgba(0, 20, 40, 0.5)';
+            ctx.fillRect(w / 2 - boxWidth / 2, boxTop, boxWidth, 26);
+            ctx.strokeStyle = 'rgba(120, 200, 255, 0.5)';
+            ctx.strokeRect(w / 2 - boxWidth / 2 + 0.5, boxTop + 0.5, boxWidth - 1, 25);
+            ctx.restore();
+            this.line(s.phone, w / 2, boxTop + 6, 12, '#9fd4ff');
+        }
+
+        // Bottom left: status, vitals, health (bottom-up from the bar's baseline)
+        ctx.textAlign = 'left';
+        y = h - 20;
+        for (let i = s.vitals.length - 1; i >= 0; i--) {
+            y -= 11 * 1.6;
+            const line = s.vitals[i];
+            if (s.hurt && line.startsWith('HEALTH:')) {
+                const label = 'HEALTH: ';
+                const width = this.line(label, 30, y, 11, 'rgba(255, 255, 255, 0.6)');
+                this.line(line.slice(label.length), 30 + width, y, 11, '#f44');
+            } else {
+                this.line(line, 30, y, 11, 'rgba(255, 255, 255, 0.6)');
+            }
+        }
+        y -= 13 * 1.6;
+        const labelWidth = this.line('STATUS: ', 30, y + 1, 13, 'rgba(255, 255, 255, 0.85)');
+        ctx.save();
+        ctx.globalAlpha = s.statusBlink;
+        this.line(s.status, 30 + labelWidth, y, 14, STATUS_COLORS[s.statusClass] || '#4a4');
+        ctx.restore();
+
+        // Bottom right: battery
+        ctx.textAlign = 'right';
+        const charge = Number((s.battery.match(/(\d+)%/) || [])[1] ?? 100) / 100;
+        const barTop = h - 20 - 8;
+        ctx.save();
+        ctx.shadowColor = 'transparent';
+        ctx.fillStyle = '#4a4';
+        ctx.fillRect(w - 30 - 50 + 1, barTop + 1, 48 * charge, 6);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.strokeRect(w - 30 - 50 + 0.5, barTop + 0.5, 49, 7);
+        ctx.restore();
+        this.line(s.battery, w - 30, barTop - 4 - 11 * 1.4, 11, 'rgba(255, 255, 255, 0.6)');
+    }
+
+    // One run of text; returns its width
+    line(text, x, y, size, color, bold = false) {
+        const ctx = this.ctx;
+        ctx.font = `${bold ? 'bold ' : ''}${size}px ${FONT}`;
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+        return ctx.measureText(text).width;
+    }
+
+    dispose() {
+        this.texture.dispose();
+    }
+}
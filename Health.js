@@ -0,0 +1,102 @@
+/**
+ * HEALTH
+ * Injuries from physics impacts. Each hit is scored by its impulse
+ * (impact speed x the reduced mass of the two bodies), then leaves:
+ * - damage: health lost for good (no healing during a run)
+ * - a stumble: a moment without control of their legs
+ * - a limp: slower from then on, worse with every hit
+ * - blurred vision that clears over a few seconds, and pain that fades slower
+ * - a knockdown on a big hit; below downBelow health they stay down
+ */
+
+const DEFAULTS = {
+    minImpulse: 80,         // N·s that doesn't hurt (a bump, brushing past debris)
+    lethalImpulse: 1200,    // N·s that takes everything in one go (a car at speed)
+    stumblePerDamage: 5,    // Seconds of stumbling per unit of damage...
+    maxStumble: 2,          // ...up to this
+    limpPerDamage: 0.8,
+    maxLimp: 0.6,           // Speed lost to limping at worst
+    blurPerDamage: 2,
+    blurRecovery: 0.25,     // Per second
+    painRecovery: 0.04,     // Per second
+    knockdownDamage: 0.3,   // One hit this bad knocks them over...
+    knockdownTime: 5,       // ...for this long
+    downBelow: 0.25         // Health at which they can't get back up
+};
+
+export class Health {
+    /**
+     * @param {object} [options] - DEFAULTS overrides (CONFIG.injury)
+     */
+    constructor(options = {}) {
+        this.config = { ...DEFAULTS, ...options };
+        this.health = 1;
+        this.limp = 0;
+        this.blur = 0;
+        this.pain = 0;
+        this.stumble = 0;       // Seconds left
+        this.knockdown = 0;     // Seconds left
+        this.injuries = [];     // [{ damage, time }]
+    }
+
+    // Returns the damage done (0 if the impact didn't hurt)
+    impact(impulse, time = 0) {
+        const c = this.config;
+        if (impulse <= c.minImpulse || this.health <= 0) return 0;
+
+        const damage = Math.min(this.health, (impulse - c.minImpulse) / (c.lethalImpulse - c.minImpulse));
+        this.health -= damage;
+        this.injuries.push({ damage, time });
+
+        this.stumble = Math.max(this.stumble, Math.min(c.maxStumble, damage * c.stumblePerDamage));
+        this.limp = Math.min(c.maxLimp, this.limp + damage * c.limpPerDamage);
+        this.blur = Math.min(1, this.blur + damage * c.blurPerDamage);
+        this.pain = Math.min(1, this.pain + damage * 2);
+        if (damage >= c.knockdownDamage) this.knockdown = c.knockdownTime;
+        return damage;
+    }
+
+    update(dt) {
+        const c = this.config;
+        this.stumble = Math.max(0, this.stumble - dt);
+        this.knockdown = Math.max(0, this.knockdown - dt);
+        this.blur = Math.max(0, this.blur - c.blurRecovery * dt);
+        // Pain never fades below what the wounds keep hurting
+        this.pain = Math.max(1 - this.health, this.pain - c.painRecovery * dt);
+    }
+
+    get isDown() {
+        return this.knockdown > 0 || this.health <= this.config.downBelow;
+    }
+
+    get isStumbling() {
+        return this.stumble > 0;
+    }
+
+    // Multiplier on movement speed
+    get speedScale() {
+        return 1 - this.limp;
+    }
+
+    // 0-1: how red the edges of their vision are
+    get tint() {
+        return Math.min(1, (1 - this.health) * 0.8 + this.pain * 0.4);
+    }
+
+    get label() {
+        if (this.health <= this.config.downBelow) return 'CRITICAL';
+        if (this.health < 0.6) return 'INJURED';
+        if (this.health < 1) return 'HURT';
+        return 'OK';
+    }
+
+    getState() {
+        return {
+            health: this.health,
+            label: this.label,
+            limp: this.limp,
+            down: this.isDown,
+            injuries: this.injuries.length
+        };
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * IN-FRAME HUD COMPOSITE
+ * Lays the HUD texture (see FrameHud.js) over the finished bodycam frame,
+ * after the BodyCamShader pass, the way a camera burns its overlay in:
+ * - the overlay glows a little into the picture (bloom)
+ * - it picks up the same sensor noise as the image under it
+ */
+export const HudShader = {
+    uniforms: {
+        'tDiffuse': { value: null },
+        'tHud': { value: null },
+        'time': { value: 0.0 },
+        'resolution': { value: null },  // THREE.Vector2, drawing buffer pixels
+        'bloom': { value: 0.6 },        // Glow strength
+        'bloomRadius': { value: 3.0 },  // Pixels
+        'noise': { value: 0.12 }        // Sensor noise on the overlay
+    },
+
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tHud;
+        uniform float time;
+        uniform vec2 resolution;
+        uniform float bloom;
+        uniform float bloomRadius;
+        uniform float noise;
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+            vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+            p3 += dot(p3, p3.yzx + 33.33);
+            return fract((p3.x + p3.y) * p3.z);
+        }
+
+        void main() {
+            vec3 color = texture2D(tDiffuse, vUv).rgb;
+            vec4 hud = texture2D(tHud, vUv);
+
+            // 1. BLOOM - two rings of taps around the pixel, the overlay's light spilling out
+            vec2 px = bloomRadius / resolution;
+            vec3 glow = vec3(0.0);
+            for (int i = 0; i < 8; i++) {
+                float angle = float(i) * 0.785398;
+                vec2 dir = vec2(cos(angle), sin(angle));
+                vec4 near = texture2D(tHud, vUv + dir * px);
+                vec4 far = texture2D(tHud, vUv + dir * px * 2.5);
+                glow += near.rgb * near.a * 0.6 + far.rgb * far.a * 0.4;
+            }
+            glow /= 8.0;
+
+            // 2. SENSOR NOISE - per pixel, changing every frame of 30fps footage
+            float grain = hash(vUv * resolution + floor(time * 30.0) * 17.0) - 0.5;
+            vec3 overlay = hud.rgb * (1.0 + grain * noise * 2.0);
+
+            // 3. COMPOSITE - overlay over the picture, glow added on top
+            color = mix(color, overlay, hud.a);
+            color += glow * bloom;
+
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
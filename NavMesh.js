@@ -0,0 +1,737 @@
+/**
+ * NAVIGATION MESH
+ * Walkable polygons built from the walkable_* surfaces:
+ * - surfaces are rasterised into height spans, several per column, so
+ *   overpasses work; spans without headroom for the agent are dropped
+ * - the walkable area is shrunk by the agent radius at its edges, and
+ *   collider_*, vehicle_* and building* footprints are carved out
+ * - spans are merged into rectangles, linked by portals on shared edges
+ * - A* over the polygons, then a funnel pass for the shortest corridor path
+ * - polygons can be blocked for a while (resting debris) without a rebuild
+ */
+import * as THREE from 'three';
+
+const DEFAULTS = {
+    cellSize: 0.25,         // Rasterisation resolution (m)
+    agentRadius: 0.35,
+    agentHeight: 1.7,       // Headroom needed above a span
+    maxStep: 0.3,           // Height difference the agent can step up (curbs)
+    maxSlope: 45,           // Degrees
+    maxPolySize: 4,         // Largest polygon side (m) - keeps heights and blocking local
+    maxCells: 250000        // The grid is coarsened for very large scenes
+};
+
+// Min-heap on f-score for the A* open set
+class PolyHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(index, score) {
+        const items = this.items;
+        items.push({ index, score });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].score <= items[i].score) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let smallest = i;
+                if (l < items.length && items[l].score < items[smallest].score) smallest = l;
+                if (r < items.length && items[r].score < items[smallest].score) smallest = r;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.index;
+    }
+}
+
+// Twice the signed area of triangle abc on the ground plane
+function triarea2(a, b, c) {
+    const ax = b.x - a.x;
+    const az = b.z - a.z;
+    const bx = c.x - a.x;
+    const bz = c.z - a.z;
+    return bx * az - ax * bz;
+}
+
+function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < 1e-4 && Math.abs(a.z - b.z) < 1e-4;
+}
+
+export class NavMesh {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.polys = [];        // { id, minX, maxX, minZ, maxZ, y, center, area, links, island }
+        this.spans = new Map(); // column index -> [{ y, poly }], top to bottom
+        this.cellSize = this.options.cellSize;
+        this.originX = 0;
+        this.originZ = 0;
+        this.cols = 0;
+        this.rows = 0;
+        this.islandCount = 0;
+    }
+
+    /**
+     * @param {THREE.Object3D[]} surfaces - walkable_* objects
+     * @param {THREE.Object3D[]} obstacles - objects whose footprint is carved out
+     */
+    build(surfaces, obstacles = []) {
+        const bounds = new THREE.Box3();
+        surfaces.forEach(surface => {
+            surface.updateMatrixWorld(true);
+            bounds.expandByObject(surface);
+        });
+        if (bounds.isEmpty()) return this;
+
+        const sizeX = bounds.max.x - bounds.min.x;
+        const sizeZ = bounds.max.z - bounds.min.z;
+        this.cellSize = Math.max(this.options.cellSize, Math.sqrt(sizeX * sizeZ / this.options.maxCells));
+        this.originX = bounds.min.x;
+        this.originZ = bounds.min.z;
+        this.cols = Math.max(1, Math.ceil(sizeX / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(sizeZ / this.cellSize));
+
+        this.rasterize(surfaces, bounds);
+        this.erode();
+        this.carve(obstacles);
+        this.mergePolys();
+        this.linkPortals();
+        this.labelIslands();
+        return this;
+    }
+
+    // --- BUILD STEPS ---
+
+    rasterize(surfaces, bounds) {
+        const { agentHeight, maxSlope } = this.options;
+        const minNormalY = Math.cos(THREE.MathUtils.degToRad(maxSlope));
+        const raycaster = new THREE.Raycaster();
+        const origin = new THREE.Vector3();
+        const down = new THREE.Vector3(0, -1, 0);
+        const normal = new THREE.Vector3();
+
+        for (let iz = 0; iz < this.rows; iz++) {
+            for (let ix = 0; ix < this.cols; ix++) {
+                origin.set(this.cellX(ix), bounds.max.y + 1, this.cellZ(iz));
+                raycaster.set(origin, down);
+
+                // Hits come top to bottom; a span needs headroom below the one above it
+                const column = [];
+                for (const hit of raycaster.intersectObjects(surfaces, true)) {
+                    if (!hit.face) continue;
+                    normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+                    if (normal.y < minNormalY) continue;
+                    const above = column[column.length - 1];
+                    if (above && above.y - hit.point.y < agentHeight) continue;
+                    column.push({ y: hit.point.y, poly: -1 });
+                }
+                if (column.length > 0) this.spans.set(iz * this.cols + ix, column);
+            }
+        }
+    }
+
+    // Drop spans whose centers are within the agent radius of the walkable edge
+    erode() {
+        const { agentRadius } = this.options;
+        const steps = Math.max(0, Math.ceil(agentRadius / this.cellSize - 0.5));
+        if (steps === 0) return;
+
+        let border = [];
+        for (const [index, column] of this.spans) {
+            const ix = index % this.cols;
+            const iz = Math.floor(index / this.cols);
+            for (const span of column) {
+                if (this.neighborSpans(ix, iz, span.y).some(n => n === null)) border.push(span);
+            }
+        }
+
+        // Peel off one ring per step
+        for (let step = 0; step < steps && border.length > 0; step++) {
+            border.forEach(span => (span.eroded = true));
+            const next = [];
+            for (const [index, column] of this.spans) {
+                const ix = index % this.cols;
+                const iz = Math.floor(index / this.cols);
+                for (const span of column) {
+                    if (span.eroded) continue;
+                    if (this.neighborSpans(ix, iz, span.y).some(n => n === null || n.eroded)) next.push(span);
+                }
+            }
+            this.removeSpans(span => span.eroded);
+            border = next;
+        }
+    }
+
+    // Remove spans inside obstacle footprints (grown by the agent radius)
+    // that reach above step height and below head height
+    carve(obstacles) {
+        const { agentRadius, agentHeight, maxStep } = this.options;
+        const solids = [];
+
+        for (const root of obstacles) {
+            root.updateMatrixWorld(true);
+            let meshes = 0;
+            root.traverse(obj => {
+                if (!obj.isMesh || !obj.geometry) return;
+                if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
+                const local = obj.geometry.boundingBox;
+                const world = local.clone().applyMatrix4(obj.matrixWorld);
+                solids.push({
+                    local,
+                    matrix: obj.matrixWorld,
+                    inverse: obj.matrixWorld.clone().invert(),
+                    world,
+                    reach: world.clone().expandByScalar(agentRadius)
+                });
+                meshes++;
+            });
+            // Empties get a 1 m box, the same as their physics collider
+            if (meshes === 0) {
+                const pos = new THREE.Vector3().setFromMatrixPosition(root.matrixWorld);
+                const world = new THREE.Box3().setFromCenterAndSize(pos, new THREE.Vector3(1, 1, 1));
+                solids.push({
+                    local: world,
+                    matrix: new THREE.Matrix4(),
+                    inverse: new THREE.Matrix4(),
+                    world,
+                    reach: world.clone().expandByScalar(agentRadius)
+                });
+            }
+        }
+        if (solids.length === 0) return;
+
+        const point = new THREE.Vector3();
+        const closest = new THREE.Vector3();
+        this.forEachSpan((span, ix, iz) => {
+            const x = this.cellX(ix);
+            const z = this.cellZ(iz);
+            span.carved = solids.some(solid => {
+                if (x < solid.reach.min.x || x > solid.reach.max.x) return false;
+                if (z < solid.reach.min.z || z > solid.reach.max.z) return false;
+                if (solid.world.max.y <= span.y + maxStep || solid.world.min.y >= span.y + agentHeight) return false;
+
+                // Closest point of the (possibly rotated) box, measured on the ground plane
+                point.set(x, THREE.MathUtils.clamp(span.y + agentHeight / 2, solid.world.min.y, solid.world.max.y), z);
+                point.applyMatrix4(solid.inverse);
+                solid.local.clampPoint(point, closest);
+                closest.applyMatrix4(solid.matrix);
+                const dx = closest.x - x;
+                const dz = closest.z - z;
+                return dx * dx + dz * dz < agentRadius * agentRadius;
+            });
+        });
+        this.removeSpans(span => span.carved);
+    }
+
+    // Greedy rectangles: grow along x, then add rows while the whole strip fits
+    mergePolys() {
+        const { maxStep, maxPolySize } = this.options;
+        const maxCells = Math.max(1, Math.floor(maxPolySize / this.cellSize));
+        const cs = this.cellSize;
+
+        for (let iz = 0; iz < this.rows; iz++) {
+            for (let ix = 0; ix < this.cols; ix++) {
+                const column = this.spans.get(iz * this.cols + ix);
+                if (!column) continue;
+
+                for (const seed of column) {
+                    if (seed.poly !== -1) continue;
+                    const fits = (n) => n && n.poly === -1 && Math.abs(n.y - seed.y) <= maxStep;
+
+                    const rows = [[seed]];
+                    for (let x = ix + 1; x < this.cols && rows[0].length < maxCells; x++) {
+                        const n = this.matchSpan(x, iz, rows[0][rows[0].length - 1].y);
+                        if (!fits(n)) break;
+                        rows[0].push(n);
+                    }
+                    const width = rows[0].length;
+
+                    for (let z = iz + 1; z < this.rows && rows.length < maxCells; z++) {
+                        const prev = rows[rows.length - 1];
+                        const row = [];
+                        for (let k = 0; k < width; k++) {
+                            const n = this.matchSpan(ix + k, z, prev[k].y);
+                            if (!fits(n)) break;
+                            row.push(n);
+                        }
+                        if (row.length < width) break;
+                        rows.push(row);
+                    }
+
+                    const id = this.polys.length;
+                    let ySum = 0;
+                    rows.forEach(row => row.forEach(span => {
+                        span.poly = id;
+                        ySum += span.y;
+                    }));
+
+                    const minX = this.originX + ix * cs;
+                    const minZ = this.originZ + iz * cs;
+                    const maxX = minX + width * cs;
+                    const maxZ = minZ + rows.length * cs;
+                    const y = ySum / (width * rows.length);
+                    this.polys.push({
+                        id,
+                        minX, maxX, minZ, maxZ, y,
+                        center: new THREE.Vector3((minX + maxX) / 2, y, (minZ + maxZ) / 2),
+                        area: (maxX - minX) * (maxZ - minZ),
+                        links: [],      // { to, a, b, mid } - a/b are the shared edge's ends
+                        island: -1,
+                        blocked: 0      // > 0 while something is in the way
+                    });
+                }
+            }
+        }
+    }
+
+    // A portal is the shared edge between neighbouring polygons
+    linkPortals() {
+        const edges = new Map();
+        const cs = this.cellSize;
+        const addEdge = (p, q, axis, coord, from, to, y) => {
+            const key = p < q ? `${p}:${q}` : `${q}:${p}`;
+            const edge = edges.get(key);
+            if (edge) {
+                edge.min = Math.min(edge.min, from);
+                edge.max = Math.max(edge.max, to);
+            } else {
+                edges.set(key, { p, q, axis, coord, min: from, max: to, y });
+            }
+        };
+
+        this.forEachSpan((span, ix, iz) => {
+            const right = this.matchSpan(ix + 1, iz, span.y);
+            if (right && right.poly !== span.poly) {
+                const z = this.originZ + iz * cs;
+                addEdge(span.poly, right.poly, 'x', this.originX + (ix + 1) * cs, z, z + cs, (span.y + right.y) / 2);
+            }
+            const up = this.matchSpan(ix, iz + 1, span.y);
+            if (up && up.poly !== span.poly) {
+                const x = this.originX + ix * cs;
+                addEdge(span.poly, up.poly, 'z', this.originZ + (iz + 1) * cs, x, x + cs, (span.y + up.y) / 2);
+            }
+        });
+
+        for (const edge of edges.values()) {
+            const a = edge.axis === 'x'
+                ? new THREE.Vector3(edge.coord, edge.y, edge.min)
+                : new THREE.Vector3(edge.min, edge.y, edge.coord);
+            const b = edge.axis === 'x'
+                ? new THREE.Vector3(edge.coord, edge.y, edge.max)
+                : new THREE.Vector3(edge.max, edge.y, edge.coord);
+            const mid = a.clone().lerp(b, 0.5);
+            this.polys[edge.p].links.push({ to: edge.q, a, b, mid });
+            this.polys[edge.q].links.push({ to: edge.p, a, b, mid });
+        }
+    }
+
+    labelIslands() {
+        let label = 0;
+        for (const start of this.polys) {
+            if (start.island !== -1) continue;
+            const stack = [start];
+            start.island = label;
+            while (stack.length > 0) {
+                const poly = stack.pop();
+                for (const { to } of poly.links) {
+                    if (this.polys[to].island === -1) {
+                        this.polys[to].island = label;
+                        stack.push(this.polys[to]);
+                    }
+                }
+            }
+            label++;
+        }
+        this.islandCount = label;
+    }
+
+    // --- GRID HELPERS ---
+
+    cellX(ix) {
+        return this.originX + (ix + 0.5) * this.cellSize;
+    }
+
+    cellZ(iz) {
+        return this.originZ + (iz + 0.5) * this.cellSize;
+    }
+
+    forEachSpan(fn) {
+        for (const [index, column] of this.spans) {
+            const ix = index % this.cols;
+            const iz = Math.floor(index / this.cols);
+            for (const span of column) fn(span, ix, iz);
+        }
+    }
+
+    removeSpans(predicate) {
+        for (const [index, column] of this.spans) {
+            const kept = column.filter(span => !predicate(span));
+            if (kept.length === 0) this.spans.delete(index);
+            else if (kept.length !== column.length) this.spans.set(index, kept);
+        }
+    }
+
+    // Span in a column the agent can step to from height y (closest one), or null
+    matchSpan(ix, iz, y) {
+        if (ix < 0 || iz < 0 || ix >= this.cols || iz >= this.rows) return null;
+        const column = this.spans.get(iz * this.cols + ix);
+        if (!column) return null;
+        let best = null;
+        let bestDy = this.options.maxStep;
+        for (const span of column) {
+            const dy = Math.abs(span.y - y);
+            if (dy <= bestDy) {
+                best = span;
+                bestDy = dy;
+            }
+        }
+        return best;
+    }
+
+    neighborSpans(ix, iz, y) {
+        return [
+            this.matchSpan(ix + 1, iz, y),
+            this.matchSpan(ix - 1, iz, y),
+            this.matchSpan(ix, iz + 1, y),
+            this.matchSpan(ix, iz - 1, y)
+        ];
+    }
+
+    // --- QUERIES ---
+
+    // Highest span at or just above a position (a step up), or null
+    spanAt(pos) {
+        const ix = Math.floor((pos.x - this.originX) / this.cellSize);
+        const iz = Math.floor((pos.z - this.originZ) / this.cellSize);
+        if (ix < 0 || iz < 0 || ix >= this.cols || iz >= this.rows) return null;
+        const column = this.spans.get(iz * this.cols + ix);
+        if (!column) return null;
+        return column.find(span => span.y <= pos.y + this.options.maxStep) || null;
+    }
+
+    // Polygon under a position, else the nearest one; -1 if the mesh is empty
+    findPoly(pos) {
+        const span = this.spanAt(pos);
+        if (span) return span.poly;
+
+        let best = -1;
+        let bestDist = Infinity;
+        for (const poly of this.polys) {
+            const dx = Math.max(poly.minX - pos.x, 0, pos.x - poly.maxX);
+            const dz = Math.max(poly.minZ - pos.z, 0, pos.z - poly.maxZ);
+            const dy = poly.y - pos.y;
+            const dist = dx * dx + dz * dz + dy * dy * 4; // Prefer the same level
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = poly.id;
+            }
+        }
+        return best;
+    }
+
+    // Position moved inside a polygon, at its height
+    clampToPoly(id, pos) {
+        const poly = this.polys[id];
+        const inset = Math.min(0.05, (poly.maxX - poly.minX) / 2, (poly.maxZ - poly.minZ) / 2);
+        return new THREE.Vector3(
+            THREE.MathUtils.clamp(pos.x, poly.minX + inset, poly.maxX - inset),
+            poly.y,
+            THREE.MathUtils.clamp(pos.z, poly.minZ + inset, poly.maxZ - inset)
+        );
+    }
+
+    // Island id for a position (-1 if the mesh is empty)
+    islandAt(pos) {
+        const id = this.findPoly(pos);
+        return id === -1 ? -1 : this.polys[id].island;
+    }
+
+    /**
+     * Waypoints from one position to another (ending at `to`, moved onto the
+     * mesh), or null if there's no walkable route.
+     * @returns {THREE.Vector3[]|null}
+     */
+    findPath(from, to) {
+        const start = this.findPoly(from);
+        const goal = this.findPoly(to);
+        if (start === -1 || goal === -1) return null;
+        if (this.polys[start].island !== this.polys[goal].island) return null;
+
+        const startPoint = this.clampToPoly(start, from);
+        const goalPoint = this.clampToPoly(goal, to);
+        if (start === goal) return [goalPoint];
+
+        const corridor = this.search(start, goal, startPoint, goalPoint);
+        if (!corridor) return null;
+        return this.smooth(startPoint, this.funnel(start, startPoint, goalPoint, corridor));
+    }
+
+    // True if walking straight from a to b stays on the mesh: no gaps, no
+    // steps too high and no blocked polygons. Walks the grid in half cells.
+    isClear(a, b) {
+        let span = this.spanAt(a);
+        if (!span) return false;
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const steps = Math.max(1, Math.ceil(Math.hypot(dx, dz) / (this.cellSize * 0.5)));
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const ix = Math.floor((a.x + dx * t - this.originX) / this.cellSize);
+            const iz = Math.floor((a.z + dz * t - this.originZ) / this.cellSize);
+            span = this.matchSpan(ix, iz, span.y);
+            if (!span || this.polys[span.poly].blocked > 0) return false;
+        }
+        return true;
+    }
+
+    // A* over polygons, crossing each portal at its nearest point.
+    // Returns the links crossed, in order, or null.
+    search(start, goal, startPoint, goalPoint) {
+        const count = this.polys.length;
+        const gScore = new Float64Array(count).fill(Infinity);
+        const cameFrom = new Array(count).fill(null); // { from, link }
+        const entry = new Array(count).fill(null);    // Where we entered each polygon
+        const closed = new Uint8Array(count);
+        const open = new PolyHeap();
+
+        gScore[start] = 0;
+        entry[start] = startPoint;
+        open.push(start, startPoint.distanceTo(goalPoint));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) {
+                const links = [];
+                for (let i = goal; cameFrom[i]; i = cameFrom[i].from) links.push(cameFrom[i].link);
+                return links.reverse();
+            }
+            if (closed[current]) continue; // Stale heap entry
+            closed[current] = 1;
+
+            for (const link of this.polys[current].links) {
+                const next = this.polys[link.to];
+                if (closed[link.to] || (next.blocked > 0 && link.to !== goal)) continue;
+                // Cross each portal at its point closest to where we came in, so
+                // wide polygons aren't penalised against thin slivers
+                const crossing = new THREE.Line3(link.a, link.b).closestPointToPoint(entry[current], true, new THREE.Vector3());
+                const tentative = gScore[current] + entry[current].distanceTo(crossing);
+                if (tentative < gScore[link.to]) {
+                    gScore[link.to] = tentative;
+                    cameFrom[link.to] = { from: current, link };
+                    entry[link.to] = crossing;
+                    open.push(link.to, tentative + crossing.distanceTo(goalPoint));
+                }
+            }
+        }
+        return null;
+    }
+
+    // Simple stupid funnel algorithm over the portals of a corridor
+    funnel(start, startPoint, goalPoint, links) {
+        // Orient each portal as (left, right) seen from the direction of travel
+        const portals = [{ left: startPoint, right: startPoint }];
+        let poly = this.polys[start];
+        for (const link of links) {
+            // The shared edge lies on the current polygon's boundary, so its
+            // center is a reliable reference for which end is which
+            if (triarea2(poly.center, link.a, link.b) < 0) portals.push({ left: link.b, right: link.a });
+            else portals.push({ left: link.a, right: link.b });
+            poly = this.polys[link.to];
+        }
+        portals.push({ left: goalPoint, right: goalPoint });
+
+        const points = [];
+        let apex = startPoint;
+        let left = startPoint;
+        let right = startPoint;
+        let apexIndex = 0;
+        let leftIndex = 0;
+        let rightIndex = 0;
+
+        for (let i = 1; i < portals.length; i++) {
+            const pl = portals[i].left;
+            const pr = portals[i].right;
+
+            // Tighten the right side
+            if (triarea2(apex, right, pr) <= 0) {
+                if (samePoint(apex, right) || triarea2(apex, left, pr) > 0) {
+                    right = pr;
+                    rightIndex = i;
+                } else {
+                    // Right crossed over left - left becomes a corner
+                    points.push(left.clone());
+                    apex = left;
+                    apexIndex = leftIndex;
+                    right = apex;
+                    rightIndex = apexIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+
+            // Tighten the left side
+            if (triarea2(apex, left, pl) >= 0) {
+                if (samePoint(apex, left) || triarea2(apex, right, pl) < 0) {
+                    left = pl;
+                    leftIndex = i;
+                } else {
+                    points.push(right.clone());
+                    apex = right;
+                    apexIndex = rightIndex;
+                    left = apex;
+                    leftIndex = apexIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+        }
+
+        if (points.length === 0 || !samePoint(points[points.length - 1], goalPoint)) {
+            points.push(goalPoint.clone());
+        }
+        return points;
+    }
+
+    // The funnel is only as straight as the corridor A* picked; on a grid of
+    // rectangles that can zig-zag, so skip any corner the mesh lets us cut
+    smooth(startPoint, points) {
+        const result = [];
+        let anchor = startPoint;
+        let i = 0;
+        while (i < points.length) {
+            let furthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.isClear(anchor, points[j])) {
+                    furthest = j;
+                    break;
+                }
+            }
+            result.push(points[furthest]);
+            anchor = points[furthest];
+            i = furthest + 1;
+        }
+        return result;
+    }
+
+    // --- DYNAMIC OBSTACLES ---
+
+    // Block every polygon a box (grown by the agent radius) stands in the way on.
+    // Returns the polygon ids - pass them to unblock() once the box is gone.
+    block(box) {
+        const { agentRadius, agentHeight, maxStep } = this.options;
+        const ids = [];
+        for (const poly of this.polys) {
+            if (box.max.x + agentRadius <= poly.minX || box.min.x - agentRadius >= poly.maxX) continue;
+            if (box.max.z + agentRadius <= poly.minZ || box.min.z - agentRadius >= poly.maxZ) continue;
+            if (box.max.y <= poly.y + maxStep || box.min.y >= poly.y + agentHeight) continue;
+            poly.blocked++;
+            ids.push(poly.id);
+        }
+        return ids;
+    }
+
+    unblock(ids) {
+        for (const id of ids) {
+            this.polys[id].blocked = Math.max(0, this.polys[id].blocked - 1);
+        }
+    }
+
+    isBlocked(pos) {
+        const span = this.spanAt(pos);
+        return span !== null && this.polys[span.poly].blocked > 0;
+    }
+
+    // Random point on the mesh, weighted by area. Optionally within `radius`
+    // of `near` and on a given island. Returns null if nothing qualifies.
+    randomPoint(rng, near = null, radius = Infinity, island = -1) {
+        const candidates = this.polys.filter(poly => {
+            if (poly.blocked > 0) return false;
+            if (island !== -1 && poly.island !== island) return false;
+            if (!near) return true;
+            const dx = Math.max(poly.minX - near.x, 0, near.x - poly.maxX);
+            const dz = Math.max(poly.minZ - near.z, 0, near.z - poly.maxZ);
+            return dx * dx + dz * dz < radius * radius;
+        });
+        if (candidates.length === 0) return null;
+
+        const total = candidates.reduce((sum, poly) => sum + poly.area, 0);
+        let roll = rng.next() * total;
+        let poly = candidates[candidates.length - 1];
+        for (const c of candidates) {
+            roll -= c.area;
+            if (roll < 0) {
+                poly = c;
+                break;
+            }
+        }
+
+        let { minX, maxX, minZ, maxZ } = poly;
+        if (near && radius !== Infinity) {
+            minX = Math.max(minX, near.x - radius);
+            maxX = Math.min(maxX, near.x + radius);
+            minZ = Math.max(minZ, near.z - radius);
+            maxZ = Math.min(maxZ, near.z + radius);
+        }
+        return new THREE.Vector3(rng.range(minX, maxX), poly.y, rng.range(minZ, maxZ));
+    }
+
+    // Evenly spread points over every polygon (at least its center)
+    samplePoints(spacing = 2) {
+        const points = [];
+        for (const poly of this.polys) {
+            const nx = Math.max(1, Math.round((poly.maxX - poly.minX) / spacing));
+            const nz = Math.max(1, Math.round((poly.maxZ - poly.minZ) / spacing));
+            for (let i = 0; i < nx; i++) {
+                for (let k = 0; k < nz; k++) {
+                    points.push(new THREE.Vector3(
+                        poly.minX + (poly.maxX - poly.minX) * (i + 0.5) / nx,
+                        poly.y,
+                        poly.minZ + (poly.maxZ - poly.minZ) * (k + 0.5) / nz
+                    ));
+                }
+            }
+        }
+        return points;
+    }
+
+    // Polygon outlines, for debug drawing
+    createDebugLines(color = 0x00aa44) {
+        const positions = [];
+        for (const poly of this.polys) {
+            const y = poly.y + 0.05;
+            const corners = [
+                [poly.minX, poly.minZ], [poly.maxX, poly.minZ],
+                [poly.maxX, poly.maxZ], [poly.minX, poly.maxZ]
+            ];
+            for (let i = 0; i < 4; i++) {
+                const [x1, z1] = corners[i];
+                const [x2, z2] = corners[(i + 1) % 4];
+                positions.push(x1, y, z1, x2, y, z2);
+            }
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color }));
+    }
+}
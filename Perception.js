@@ -0,0 +1,145 @@
+/**
+ * PERCEPTION
+ * What each civilian actually notices, instead of every event reaching everyone:
+ * - stimuli: chaos events emit a sound (loudness) and/or something to see
+ *   (visibleFor seconds, following `source` if it moves)
+ * - hearing: loudness falls off with distance and is muffled behind walls;
+ *   the further away, the vaguer the guess of where it came from. Sound
+ *   takes its time to arrive.
+ * - sight: inside the view cone (bodycam yaw / pitch), in range, and not
+ *   hidden behind a wall
+ * Each observer notices a stimulus at most once, by whichever sense got there first.
+ *
+ * Observers need: eye (position), yaw, pitch, rng, and
+ * perceive(stimulus, { sense, position, strength }) for what they noticed.
+ */
+
+import * as THREE from 'three';
+
+const SPEED_OF_SOUND = 343;
+
+const DEFAULTS = {
+    hearingRange: 150,          // Meters a loudness-1 sound carries
+    occludedHearing: 0.5,       // Loudness left behind a wall
+    localizationError: 0.25,    // Meters of position error per meter of distance (heard)
+    sightRange: 80,             // Meters
+    viewAngle: 140,             // Degrees, horizontal
+    verticalViewAngle: 100,     // Degrees
+    lookInterval: 0.25          // Seconds between sight checks
+};
+
+export class Perception {
+    /**
+     * @param {object} options
+     * @param {SimClock} options.clock
+     * @param {() => object[]} options.observers - everyone who can perceive
+     * @param {(from: THREE.Vector3, to: THREE.Vector3) => boolean} options.lineOfSight
+     * @param {object} [options.config] - DEFAULTS overrides (CONFIG.perception)
+     */
+    constructor({ clock, observers, lineOfSight, config = {} }) {
+        this.clock = clock;
+        this.observers = observers;
+        this.lineOfSight = lineOfSight;
+        this.config = { ...DEFAULTS, ...config };
+        this.visible = [];  // Stimuli that can still be seen
+
+        this.clock.every(this.config.lookInterval, () => this.look());
+    }
+
+    /**
+     * @param {object} stimulus - threat fields (see ChaosRegistry.js) plus
+     *   position, loudness (0-1, 0 = silent), visibleFor (seconds, 0 = unseen),
+     *   source (moving thing it follows) and emitter (observer that made it -
+     *   they don't perceive their own)
+     */
+    emit(stimulus) {
+        const s = {
+            ...stimulus,
+            position: new THREE.Vector3().copy(stimulus.position),
+            loudness: stimulus.loudness ?? 0,
+            visibleFor: stimulus.visibleFor ?? 0,
+            noticedBy: new WeakSet()
+        };
+        if (s.emitter) s.noticedBy.add(s.emitter);
+
+        if (s.loudness > 0) {
+            for (const observer of this.observers()) this.listen(observer, s);
+        }
+        if (s.visibleFor > 0) {
+            s.expires = this.clock.time + s.visibleFor;
+            this.visible.push(s);
+            this.look([s]);
+        }
+        return s;
+    }
+
+    // Schedule the sound reaching an observer, if it's loud enough to be heard there
+    listen(observer, stimulus) {
+        const distance = observer.eye.distanceTo(stimulus.position);
+        const range = stimulus.loudness * this.config.hearingRange;
+        if (distance >= range) return;
+
+        this.clock.after(distance / SPEED_OF_SOUND, () => {
+            if (stimulus.noticedBy.has(observer)) return;
+
+            let strength = 1 - distance / range;
+            const occluded = !this.lineOfSight(observer.eye, stimulus.position);
+            if (occluded) strength *= this.config.occludedHearing;
+            if (strength <= 0.02) return;
+
+            // Guess where it came from - worse the further away and behind walls
+            const error = distance * this.config.localizationError * (occluded ? 2 : 1);
+            const angle = observer.rng.next() * Math.PI * 2;
+            const offset = Math.sqrt(observer.rng.next()) * error;
+            const estimate = stimulus.position.clone();
+            estimate.x += Math.cos(angle) * offset;
+            estimate.z += Math.sin(angle) * offset;
+
+            stimulus.noticedBy.add(observer);
+            observer.perceive(stimulus, { sense: 'hearing', position: estimate, strength });
+        });
+    }
+
+    // Sight checks for everything still visible (all of it by default)
+    look(stimuli = null) {
+        const now = this.clock.time;
+        if (!stimuli) {
+            this.visible = this.visible.filter(s => s.expires > now);
+            stimuli = this.visible;
+        }
+
+        for (const stimulus of stimuli) {
+            if (stimulus.source) stimulus.position.copy(stimulus.source.position);
+            const range = stimulus.sightRange ?? this.config.sightRange;
+
+            for (const observer of this.observers()) {
+                if (stimulus.noticedBy.has(observer)) continue;
+                if (!this.canSee(observer, stimulus.position, range)) continue;
+
+                const strength = 1 - observer.eye.distanceTo(stimulus.position) / range;
+                stimulus.noticedBy.add(observer);
+                observer.perceive(stimulus, { sense: 'sight', position: stimulus.position.clone(), strength });
+            }
+        }
+    }
+
+    // In range, inside the view cone and not behind a wall
+    canSee(observer, target, range = this.config.sightRange) {
+        const eye = observer.eye;
+        const dx = target.x - eye.x;
+        const dy = target.y - eye.y;
+        const dz = target.z - eye.z;
+        const flat = Math.hypot(dx, dz);
+        if (flat > range || flat < 1e-3) return flat < 1e-3;
+
+        // Horizontal: angle between facing (sin yaw, cos yaw) and the target
+        const facing = (dx * Math.sin(observer.yaw) + dz * Math.cos(observer.yaw)) / flat;
+        if (facing < Math.cos(THREE.MathUtils.degToRad(this.config.viewAngle / 2))) return false;
+
+        // Vertical: elevation relative to where they're looking
+        const elevation = Math.atan2(dy, flat);
+        if (Math.abs(elevation - observer.pitch) > THREE.MathUtils.degToRad(this.config.verticalViewAngle / 2)) return false;
+
+        return this.lineOfSight(eye, target);
+    }
+}
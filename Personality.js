@@ -0,0 +1,73 @@
+/**
+ * PERSONALITY
+ * Traits that make civilians react differently to the same event (all 0-1):
+ * - bravery: panics less, hides for less time, doesn't back away as far
+ * - curiosity: stops to look for longer, turns toward the commotion faster
+ * - fitness: run and walk speed
+ * - jumpiness: how hard threats hit, how fast the head snaps around, how much they shake
+ *
+ * 0.5 in every trait is the baseline civilian (the old fixed behaviour).
+ */
+
+export const TRAITS = ['bravery', 'curiosity', 'fitness', 'jumpiness'];
+
+export const PROFILES = {
+    average:      { bravery: 0.5, curiosity: 0.5, fitness: 0.5, jumpiness: 0.5 },
+    coward:       { bravery: 0.1, curiosity: 0.3, fitness: 0.5, jumpiness: 0.85 },
+    hero:         { bravery: 0.9, curiosity: 0.6, fitness: 0.7, jumpiness: 0.2 },
+    rubbernecker: { bravery: 0.6, curiosity: 0.95, fitness: 0.4, jumpiness: 0.35 },
+    athlete:      { bravery: 0.6, curiosity: 0.4, fitness: 0.95, jumpiness: 0.4 },
+    elderly:      { bravery: 0.45, curiosity: 0.5, fitness: 0.1, jumpiness: 0.6 }
+};
+
+export class Personality {
+    constructor(traits = {}) {
+        for (const trait of TRAITS) {
+            this[trait] = clamp01(traits[trait] ?? 0.5);
+        }
+    }
+
+    /**
+     * @param {string|object} profile - PROFILES name, {trait: value} (missing
+     *   traits are 0.5) or 'random'
+     * @param {SeededRandom} rng
+     * @param {number} [jitter] - random spread added to each trait of a fixed
+     *   profile, so two "average" people still differ a little
+     */
+    static create(profile, rng, jitter = 0) {
+        if (profile === 'random') return Personality.random(rng);
+
+        const base = typeof profile === 'string' ? PROFILES[profile] : profile;
+        if (!base) {
+            console.warn(`Unknown personality profile "${profile}" - using a random one`);
+            return Personality.random(rng);
+        }
+        const traits = {};
+        for (const trait of TRAITS) {
+            traits[trait] = (base[trait] ?? 0.5) + rng.spread(jitter * 2);
+        }
+        return new Personality(traits);
+    }
+
+    // Mostly ordinary people, the odd extreme (average of two rolls)
+    static random(rng) {
+        const traits = {};
+        for (const trait of TRAITS) {
+            traits[trait] = (rng.next() + rng.next()) / 2;
+        }
+        return new Personality(traits);
+    }
+
+    // Multiplier for a behaviour constant: 1 at trait 0.5, 1 - spread at 0, 1 + spread at 1
+    scale(trait, spread) {
+        return 1 + (this[trait] - 0.5) * 2 * spread;
+    }
+
+    describe() {
+        return TRAITS.map(trait => `${trait} ${this[trait].toFixed(2)}`).join(', ');
+    }
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
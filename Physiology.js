@@ -0,0 +1,106 @@
+/**
+ * PHYSIOLOGY
+ * A civilian's vitals, driven by what the simulation makes them do:
+ * - heart rate climbs with exertion (running) and fear, and recovers slowly
+ * - stamina drains while sprinting; run dry and they're exhausted (forced to
+ *   slow down) until they've got some of it back
+ * - breathing rate and depth follow exertion, fear and lost stamina - the
+ *   phase drives camera sway and the panting audio
+ *
+ * Fitness (0-1, 0.5 average) lowers the resting heart rate, slows the drain
+ * and speeds up recovery.
+ */
+
+const DEFAULTS = {
+    restingHeartRate: 72,
+    maxHeartRate: 185,
+    heartRiseTime: 3,       // Seconds to close most of the gap to the target rate (rising)
+    heartFallTime: 20,      // ...and falling - hearts calm down slowly
+    staminaDrain: 0.09,     // Per second at a full sprint (average fitness)
+    staminaRecovery: 0.05,  // Per second standing still
+    exhaustedBelow: 0.1,    // Stamina that forces a slow-down...
+    recoveredAbove: 0.35,   // ...until it's back above this
+    exhaustedSpeed: 0.45,   // Speed multiplier while exhausted
+    restingBreathRate: 14,  // Breaths per minute
+    maxBreathRate: 48
+};
+
+export class Physiology {
+    /**
+     * @param {object} [options] - DEFAULTS overrides (CONFIG.physiology) plus fitness 0-1
+     */
+    constructor(options = {}) {
+        this.config = { ...DEFAULTS, ...options };
+        this.fitness = options.fitness ?? 0.5;
+
+        const c = this.config;
+        this.restingHeartRate = c.restingHeartRate - (this.fitness - 0.5) * 16;
+        this.heartRate = this.restingHeartRate;
+        this.stamina = 1;
+        this.exhausted = false;
+        this.breathRate = c.restingBreathRate;
+        this.breathPhase = 0;   // Radians, one cycle per breath
+        this.breathDepth = 0.2; // 0 shallow - 1 gasping
+    }
+
+    /**
+     * @param {number} dt - seconds
+     * @param {number} exertion - 0 standing still, 1 flat-out sprint
+     * @param {number} fear - 0 calm, 1 terrified
+     */
+    update(dt, exertion, fear) {
+        const c = this.config;
+        exertion = clamp01(exertion);
+        fear = clamp01(fear);
+        const fitnessScale = 1.5 - this.fitness; // 1.5 unfit - 0.5 very fit
+
+        // Heart: exertion and fear both push it up, with fatigue on top
+        const drive = clamp01(exertion * 0.65 + fear * 0.45 + (1 - this.stamina) * 0.15);
+        const targetHeartRate = this.restingHeartRate + (c.maxHeartRate - this.restingHeartRate) * drive;
+        const tau = targetHeartRate > this.heartRate ? c.heartRiseTime : c.heartFallTime;
+        this.heartRate += (targetHeartRate - this.heartRate) * (1 - Math.exp(-dt / tau));
+
+        // Stamina: running drains it, walking barely, resting recovers it
+        if (exertion > 0.35) {
+            this.stamina -= c.staminaDrain * fitnessScale * (exertion - 0.35) / 0.65 * dt;
+        } else {
+            this.stamina += c.staminaRecovery / fitnessScale * (1 - exertion / 0.35) * dt;
+        }
+        this.stamina = clamp01(this.stamina);
+        if (this.stamina < c.exhaustedBelow) this.exhausted = true;
+        else if (this.stamina > c.recoveredAbove) this.exhausted = false;
+
+        // Breathing: fast and deep when out of breath, quicker but shallow when scared
+        const need = clamp01(exertion * 0.5 + (1 - this.stamina) * 0.6);
+        const targetBreathRate = c.restingBreathRate +
+            (c.maxBreathRate - c.restingBreathRate) * clamp01(need + fear * 0.3);
+        this.breathRate += (targetBreathRate - this.breathRate) * (1 - Math.exp(-dt / 2));
+        this.breathDepth += (clamp01(0.2 + need) - this.breathDepth) * (1 - Math.exp(-dt / 2));
+        this.breathPhase = (this.breathPhase + dt * this.breathRate / 60 * Math.PI * 2) % (Math.PI * 2);
+    }
+
+    // Multiplier on movement speed - drops off as stamina runs low
+    get speedScale() {
+        if (this.exhausted) return this.config.exhaustedSpeed;
+        return this.stamina > 0.3 ? 1 : 0.75 + this.stamina / 0.3 * 0.25;
+    }
+
+    // 0-1: how audibly they're breathing
+    get panting() {
+        const c = this.config;
+        return clamp01((this.breathRate - c.restingBreathRate) / (c.maxBreathRate - c.restingBreathRate) * this.breathDepth * 1.5);
+    }
+
+    getState() {
+        return {
+            heartRate: Math.round(this.heartRate),
+            stamina: this.stamina,
+            exhausted: this.exhausted,
+            breathRate: Math.round(this.breathRate)
+        };
+    }
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,156 @@
+/**
+ * RECORDER
+ * Saves the bodycam feed as WebM clips with MediaRecorder:
+ * - video: whatever is drawn on the canvas (after the BodyCamShader pass)
+ * - audio: the game mix, as heard by the bodycam listener
+ * - pre-roll: optionally keeps the last few seconds before a clip starts, so
+ *   pressing record after a chaos event still catches it
+ *
+ * MediaRecorder can't rewind, and WebM chunks cut from the middle of a
+ * recording don't play on their own - so pre-roll is done by keeping a new
+ * recorder going every preRoll seconds and letting each run for up to two
+ * of those. When a clip starts, the one with at least preRoll seconds behind
+ * it carries on as the clip and the rest are dropped. Costs a second encoder
+ * while buffering.
+ */
+
+const DEFAULTS = {
+    fps: 30,
+    videoBitsPerSecond: 8000000,
+    preRoll: 0,                 // Seconds kept from before a clip starts (0 = off)
+    timeslice: 1000,            // Milliseconds per data chunk
+    filePrefix: 'bodycam',
+    mimeTypes: [                // First one the browser supports wins
+        'video/webm;codecs=vp9,opus',
+        'video/webm;codecs=vp8,opus',
+        'video/webm'
+    ]
+};
+
+export class Recorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - the renderer's canvas
+     * @param {object} [options] - DEFAULTS overrides (CONFIG.recording)
+     * @param {MediaStream} [options.audioStream] - game audio to mix in
+     */
+    constructor(canvas, options = {}) {
+        this.config = { ...DEFAULTS, ...options };
+        this.mimeType = this.config.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+        const tracks = canvas.captureStream(this.config.fps).getVideoTracks();
+        if (options.audioStream) tracks.push(...options.audioStream.getAudioTracks());
+        this.stream = new MediaStream(tracks);
+
+        this.clip = null;       // Segment being kept as the clip
+        this.buffer = [];       // Pre-roll segments, oldest first
+        this.rotation = null;
+        if (this.config.preRoll > 0) this.startBuffering();
+    }
+
+    static get supported() {
+        return typeof MediaRecorder !== 'undefined' && !!HTMLCanvasElement.prototype.captureStream;
+    }
+
+    get recording() {
+        return this.clip !== null;
+    }
+
+    // Seconds in the current clip, pre-roll included
+    get clipLength() {
+        return this.clip ? (performance.now() - this.clip.started) / 1000 : 0;
+    }
+
+    start() {
+        if (this.clip) return;
+        this.stopBuffering();
+
+        // Oldest segment that covers the whole pre-roll (the older, the more it covers)
+        const preRollMs = this.config.preRoll * 1000;
+        const now = performance.now();
+        this.clip = this.buffer.find(segment => now - segment.started >= preRollMs) || this.buffer[0] || this.segment();
+        for (const segment of this.buffer) {
+            if (segment !== this.clip) segment.recorder.stop();
+        }
+        this.buffer = [];
+        console.log(`Recording (${this.clipLength.toFixed(1)}s pre-roll)`);
+    }
+
+    // Resolves with the clip's Blob once it's been saved
+    stop() {
+        if (!this.clip) return Promise.resolve(null);
+        const { recorder, chunks } = this.clip;
+        this.clip = null;
+
+        const done = new Promise(resolve => {
+            recorder.onstop = () => {
+                const blob = new Blob(chunks, { type: this.mimeType || 'video/webm' });
+                this.save(blob);
+                resolve(blob);
+            };
+        });
+        recorder.stop();
+        if (this.config.preRoll > 0) this.startBuffering();
+        return done;
+    }
+
+    toggle() {
+        if (this.clip) return this.stop();
+        this.start();
+        return Promise.resolve(null);
+    }
+
+    // Download the clip, named by wall-clock time
+    save(blob) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.config.filePrefix}_${stamp}.webm`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        console.log(`Saved ${link.download} (${(blob.size / 1048576).toFixed(1)} MB)`);
+    }
+
+    // A new MediaRecorder on the shared stream, collecting its own chunks
+    segment() {
+        const options = { videoBitsPerSecond: this.config.videoBitsPerSecond };
+        if (this.mimeType) options.mimeType = this.mimeType;
+        const recorder = new MediaRecorder(this.stream, options);
+        const chunks = [];
+        recorder.ondataavailable = e => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.start(this.config.timeslice);
+        return { recorder, chunks, started: performance.now() };
+    }
+
+    // Start a segment every preRoll seconds, dropping any older than two of them
+    startBuffering() {
+        const rotate = () => {
+            const maxAge = this.config.preRoll * 2000;
+            const now = performance.now();
+            this.buffer = this.buffer.filter(segment => {
+                if (now - segment.started < maxAge) return true;
+                segment.recorder.stop();
+                return false;
+            });
+            this.buffer.push(this.segment());
+        };
+        rotate();
+        this.rotation = setInterval(rotate, this.config.preRoll * 1000);
+    }
+
+    stopBuffering() {
+        clearInterval(this.rotation);
+        this.rotation = null;
+    }
+
+    dispose() {
+        this.stopBuffering();
+        for (const segment of this.buffer) segment.recorder.stop();
+        this.buffer = [];
+        if (this.clip) this.clip.recorder.stop();
+        this.clip = null;
+        this.stream.getTracks().forEach(track => track.stop());
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * SCENARIO TIMELINES
+ * Scripted chaos for reproducible footage, loaded from JSON (see scenarios/README.md):
+ * - timed events with type, position, intensity and chained follow-ups
+ * - NPC spawn point and starting state
+ * - 'replace' runs only the script, 'alongside' keeps random chaos going too
+ *
+ * Parsing is strict - a typo in an event type fails loudly instead of
+ * silently dropping a beat of the scene.
+ */
+
+const MODES = ['replace', 'alongside'];
+
+export async function loadScenario(url, knownTypes) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load scenario ${url} (${response.status})`);
+    }
+    return parseScenario(await response.json(), knownTypes, url);
+}
+
+/**
+ * Validate raw scenario JSON and fill in defaults.
+ * @param {object} data
+ * @param {string[]} knownTypes - chaos event ids the game can spawn
+ * @param {string} [source] - for error messages
+ */
+export function parseScenario(data, knownTypes, source = 'scenario') {
+    if (!data || typeof data !== 'object') {
+        throw new Error(`${source}: expected a JSON object`);
+    }
+
+    const mode = data.mode ?? 'replace';
+    if (!MODES.includes(mode)) {
+        throw new Error(`${source}: mode must be one of ${MODES.join(', ')}`);
+    }
+    if (!Array.isArray(data.events)) {
+        throw new Error(`${source}: "events" must be an array`);
+    }
+
+    const events = data.events
+        .map((event, i) => parseEvent(event, knownTypes, `${source} events[${i}]`, 'at'))
+        .sort((a, b) => a.at - b.at);
+
+    return {
+        name: data.name ?? source,
+        seed: data.seed ?? null,
+        mode,
+        spawn: data.spawn ? parseVector(data.spawn, `${source} spawn`) : null,
+        npc: data.npc ? parseNPC(data.npc, `${source} npc`) : null,
+        events
+    };
+}
+
+// Top-level events are timed with `at` (seconds from start),
+// chained ones with `delay` (seconds after their parent fires)
+function parseEvent(event, knownTypes, where, timeKey) {
+    if (!event || typeof event !== 'object') {
+        throw new Error(`${where}: expected an object`);
+    }
+    if (!knownTypes.includes(event.type)) {
+        throw new Error(`${where}: unknown event type "${event.type}" (known: ${knownTypes.join(', ')})`);
+    }
+
+    const time = event[timeKey] ?? 0;
+    if (typeof time !== 'number' || time < 0) {
+        throw new Error(`${where}: "${timeKey}" must be a number of seconds >= 0`);
+    }
+
+    const intensity = event.intensity ?? 1;
+    if (typeof intensity !== 'number' || intensity <= 0) {
+        throw new Error(`${where}: "intensity" must be a positive number`);
+    }
+
+    const chain = (event.chain ?? []).map((child, i) =>
+        parseEvent(child, knownTypes, `${where}.chain[${i}]`, 'delay'));
+
+    return {
+        [timeKey]: time,
+        type: event.type,
+        position: event.position ? parseVector(event.position, `${where}.position`) : null,
+        intensity,
+        chain
+    };
+}
+
+// Starting state of the bodycam wearer. Numbers and the danger position are
+// checked here; status and personality are names main.js knows about.
+function parseNPC(npc, where) {
+    if (typeof npc !== 'object' || Array.isArray(npc)) {
+        throw new Error(`${where}: expected an object`);
+    }
+    for (const key of ['alertLevel', 'panicTimer', 'crouch', 'facing']) {
+        if (npc[key] !== undefined && !(typeof npc[key] === 'number' && Number.isFinite(npc[key]))) {
+            throw new Error(`${where}: "${key}" must be a number`);
+        }
+    }
+    if (npc.panicTimer < 0) {
+        throw new Error(`${where}: "panicTimer" must be a number of seconds >= 0`);
+    }
+    return {
+        ...npc,
+        dangerPosition: npc.dangerPosition ? parseVector(npc.dangerPosition, `${where}.dangerPosition`) : undefined
+    };
+}
+
+// Accepts [x, y, z] or {x, y, z}
+function parseVector(value, where) {
+    const [x, y, z] = Array.isArray(value) ? value : [value.x, value.y, value.z];
+    if (![x, y, z].every(n => typeof n === 'number' && Number.isFinite(n))) {
+        throw new Error(`${where}: expected [x, y, z] numbers`);
+    }
+    return { x, y, z };
+}
+
+/**
+ * Plays a parsed scenario on a SimClock.
+ * fire(event) is called with each event ({type, position, intensity}) when it is due.
+ */
+export class ScenarioRunner {
+    constructor(scenario, clock, fire) {
+        this.scenario = scenario;
+        this.clock = clock;
+        this.fire = fire;
+        this.timers = new Set();
+    }
+
+    start() {
+        this.stop();
+        for (const event of this.scenario.events) {
+            this.schedule(event, event.at);
+        }
+    }
+
+    stop() {
+        for (const id of this.timers) this.clock.cancel(id);
+        this.timers.clear();
+    }
+
+    get finished() {
+        return this.timers.size === 0;
+    }
+
+    schedule(event, delay) {
+        const id = this.clock.after(delay, () => {
+            this.timers.delete(id);
+            this.fire(event);
+            for (const child of event.chain) {
+                this.schedule(child, child.delay);
+            }
+        });
+        this.timers.add(id);
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * SEEDED RANDOM NUMBER GENERATOR
+ * Deterministic replacement for Math.random so a run can be reproduced:
+ * - mulberry32 generator (32-bit state, fast, good enough for gameplay)
+ * - numeric or string seeds (strings are hashed)
+ * - named sub-streams forked from one master seed, so the environment,
+ *   chaos director and NPC AI don't shift each other's sequences
+ */
+
+// FNV-1a hash - turns any seed string into a 32-bit integer
+export function hashSeed(value) {
+    const str = String(value);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Fresh seed for runs that don't ask for one (short enough to read off the HUD)
+export function randomSeed() {
+    return Math.floor(Math.random() * 1e9);
+}
+
+export class SeededRandom {
+    constructor(seed = randomSeed()) {
+        this.seed = seed;
+        this.state = typeof seed === 'number' && Number.isInteger(seed)
+            ? seed >>> 0
+            : hashSeed(seed);
+    }
+
+    // Float in [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] (inclusive)
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Centered float in [-scale / 2, scale / 2) - replaces (Math.random() - 0.5) * scale
+    spread(scale = 1) {
+        return (this.next() - 0.5) * scale;
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    sign() {
+        return this.next() < 0.5 ? -1 : 1;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // Independent stream derived from this generator's seed and a label
+    fork(label) {
+        return new SeededRandom(hashSeed(`${this.seed}:${label}`));
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * SIMULATION CLOCK & SCHEDULER
+ * Single source of time for everything that happens in the world:
+ * - advanced by the render loop with the same dt as physics and AI
+ * - after()/every() replace setTimeout/setInterval, so chaos chains,
+ *   object lifetimes and memory decay freeze and skip with the simulation
+ * - per-tick tasks for short-lived animations (flash fades, runners)
+ *
+ * All times are in seconds of simulated time.
+ */
+export class SimClock {
+    constructor() {
+        this.time = 0;
+        this.frame = 0;
+        this.timers = [];   // Sorted by due time, then creation order
+        this.tasks = [];
+        this.nextId = 1;
+    }
+
+    // Run callback once, `delay` seconds from now. Returns an id for cancel().
+    after(delay, callback) {
+        return this.addTimer(delay, 0, callback);
+    }
+
+    // Run callback every `interval` seconds until cancelled
+    every(interval, callback) {
+        return this.addTimer(interval, Math.max(interval, 1e-3), callback);
+    }
+
+    // Run fn(dt, time) every tick until it returns false
+    addTask(fn) {
+        const id = this.nextId++;
+        this.tasks.push({ id, fn });
+        return id;
+    }
+
+    cancel(id) {
+        if (id === null || id === undefined) return;
+        this.timers = this.timers.filter(t => t.id !== id);
+        this.tasks = this.tasks.filter(t => t.id !== id);
+    }
+
+    addTimer(delay, interval, callback) {
+        const id = this.nextId++;
+        this.insertTimer({ id, due: this.time + Math.max(0, delay), interval, callback });
+        return id;
+    }
+
+    insertTimer(timer) {
+        // Binary insert keeps firing order deterministic for equal due times
+        let lo = 0;
+        let hi = this.timers.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            const t = this.timers[mid];
+            if (t.due < timer.due || (t.due === timer.due && t.id < timer.id)) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        this.timers.splice(lo, 0, timer);
+    }
+
+    advance(dt) {
+        const target = this.time + dt;
+
+        // Fire due timers in order; during a callback `time` reads as the
+        // moment the timer was due, not the end of the frame
+        while (this.timers.length > 0 && this.timers[0].due <= target) {
+            const timer = this.timers.shift();
+            this.time = Math.max(this.time, timer.due);
+            if (timer.interval > 0) {
+                timer.due += timer.interval;
+                this.insertTimer(timer);
+            }
+            timer.callback();
+        }
+        this.time = target;
+        this.frame++;
+
+        // Tasks that finish (return false) are dropped
+        if (this.tasks.length > 0) {
+            const running = this.tasks.slice();
+            for (const task of running) {
+                if (task.fn(dt, this.time) === false) {
+                    this.cancel(task.id);
+                }
+            }
+        }
+    }
+}
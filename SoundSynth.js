@@ -0,0 +1,342 @@
+/**
+ * PROCEDURAL SOUND SYNTHESIZER
+ * Fallback for every ASSETS.sounds key, so fresh clones (assets/ is gitignored)
+ * still have audio. Each sound is rendered once into an AudioBuffer:
+ * - gunshot: noise-burst crack + low thump + short tail
+ * - explosion: sub-bass boom, rumbling filtered noise, crackle
+ * - carCrash / debris: inharmonic metal partials, impacts, grit
+ * - helicopter: rotor thump loop with engine whine
+ * - breathing / gasp / scream: filtered noise and formant voice
+ * - footsteps / wind / cityAmbience: seamless loops
+ *
+ * Everything is seeded per sound key, so the same sound is rendered every run.
+ */
+import { SeededRandom } from './SeededRandom.js';
+
+// --- DSP HELPERS ---
+
+// RBJ cookbook biquad. set() can be called while running to sweep the filter.
+class Biquad {
+    constructor(type, freq, q, sampleRate) {
+        this.x1 = this.x2 = this.y1 = this.y2 = 0;
+        this.type = type;
+        this.sampleRate = sampleRate;
+        this.set(freq, q);
+    }
+
+    set(freq, q) {
+        const w0 = 2 * Math.PI * Math.min(freq, this.sampleRate * 0.45) / this.sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        let b0, b1, b2;
+        switch (this.type) {
+            case 'highpass':
+                b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+                break;
+            case 'bandpass':
+                b0 = alpha; b1 = 0; b2 = -alpha;
+                break;
+            default: // lowpass
+                b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2;
+        }
+        const a0 = 1 + alpha;
+        this.b0 = b0 / a0; this.b1 = b1 / a0; this.b2 = b2 / a0;
+        this.a1 = (-2 * cos) / a0; this.a2 = (1 - alpha) / a0;
+    }
+
+    process(x) {
+        const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+        this.x2 = this.x1; this.x1 = x;
+        this.y2 = this.y1; this.y1 = y;
+        return y;
+    }
+}
+
+function noise(rng) {
+    return rng.next() * 2 - 1;
+}
+
+// Smooth attack / exponential decay envelope
+function envelope(t, attack, decay) {
+    if (t < 0) return 0;
+    if (t < attack) return t / attack;
+    return Math.exp(-(t - attack) / decay);
+}
+
+function normalize(data, peak = 0.9) {
+    let max = 0;
+    for (let i = 0; i < data.length; i++) max = Math.max(max, Math.abs(data[i]));
+    if (max > 0) {
+        const gain = peak / max;
+        for (let i = 0; i < data.length; i++) data[i] *= gain;
+    }
+    return data;
+}
+
+// Render `seconds + fade` of audio, then fold the extra tail over the start
+// with an equal-power crossfade so the buffer loops without a click
+function renderLoop(seconds, fade, sampleRate, render) {
+    const length = Math.floor(seconds * sampleRate);
+    const fadeLength = Math.floor(fade * sampleRate);
+    const raw = render(length + fadeLength);
+    const out = raw.slice(0, length);
+    for (let i = 0; i < fadeLength; i++) {
+        const k = i / fadeLength;
+        out[i] = raw[i] * Math.sin(k * Math.PI / 2) + raw[length + i] * Math.cos(k * Math.PI / 2);
+    }
+    return out;
+}
+
+// --- GENERATORS ---
+// Each takes (sampleRate, rng) and returns mono Float32Array samples
+
+function gunshot(sr, rng) {
+    const data = new Float32Array(Math.floor(0.9 * sr));
+    const crack = new Biquad('highpass', 1200, 0.7, sr);
+    const body = new Biquad('lowpass', 900, 0.8, sr);
+    const tail = new Biquad('lowpass', 400, 0.7, sr);
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        const n = noise(rng);
+        const thumpFreq = 40 + 70 * Math.exp(-t / 0.03);
+        data[i] = crack.process(n) * envelope(t, 0.0005, 0.012) * 1.2
+                + body.process(n) * envelope(t, 0.001, 0.06)
+                + tail.process(n) * envelope(t, 0.01, 0.25) * 0.35
+                + Math.sin(2 * Math.PI * thumpFreq * t) * envelope(t, 0.001, 0.07) * 0.8;
+    }
+    return normalize(data);
+}
+
+function explosion(sr, rng) {
+    const data = new Float32Array(Math.floor(4 * sr));
+    const rumble = new Biquad('lowpass', 180, 0.9, sr);
+    const mid = new Biquad('lowpass', 900, 0.7, sr);
+    let phase = 0;
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        const n = noise(rng);
+        phase += 2 * Math.PI * (25 + 45 * Math.exp(-t / 0.25)) / sr;
+        // Sparse crackle of burning bits, thinning out over time
+        const crackle = rng.next() < 0.002 * Math.exp(-t / 1.2) ? noise(rng) * 0.6 : 0;
+        data[i] = Math.sin(phase) * envelope(t, 0.005, 0.7) * 1.2
+                + rumble.process(n) * envelope(t, 0.01, 1.1) * 2.5
+                + mid.process(n) * envelope(t, 0.002, 0.18) * 0.6
+                + crackle;
+    }
+    return normalize(data, 0.95);
+}
+
+function carCrash(sr, rng) {
+    const data = new Float32Array(Math.floor(2.8 * sr));
+    const impacts = [0, 0.11, 0.32, 0.7];
+    // Inharmonic partials - what makes it sound like sheet metal rather than a drum
+    const partials = [317, 523, 811, 1187, 1663, 2389, 3121].map(f => ({
+        freq: f * rng.range(0.95, 1.05),
+        decay: rng.range(0.15, 0.6),
+        amp: rng.range(0.3, 1)
+    }));
+    const thud = new Biquad('lowpass', 250, 0.8, sr);
+    const glass = new Biquad('highpass', 4000, 0.7, sr);
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        const n = noise(rng);
+        let metal = 0;
+        let hit = 0;
+        for (let k = 0; k < impacts.length; k++) {
+            const dt = t - impacts[k];
+            if (dt < 0) continue;
+            const strength = 1 / (1 + k * 0.6);
+            hit += envelope(dt, 0.001, 0.08) * strength;
+            for (const p of partials) {
+                metal += Math.sin(2 * Math.PI * p.freq * dt) * p.amp * Math.exp(-dt / p.decay) * strength;
+            }
+        }
+        // Glass grains scattered after the first hit
+        const shard = t > 0.05 && rng.next() < 0.004 * Math.exp(-t / 0.8) ? 1 : 0;
+        data[i] = metal * 0.12
+                + thud.process(n) * hit * 2
+                + glass.process(n) * (envelope(t - 0.05, 0.01, 0.5) * 0.25 + shard);
+    }
+    return normalize(data);
+}
+
+function scream(sr, rng) {
+    const duration = 1.9;
+    const data = new Float32Array(Math.floor(duration * sr));
+    const formants = [
+        new Biquad('bandpass', 850, 6, sr),
+        new Biquad('bandpass', 1250, 8, sr),
+        new Biquad('bandpass', 2900, 10, sr)
+    ];
+    const gains = [1, 0.7, 0.35];
+    let phase = 0;
+    const pitch = rng.range(480, 560);
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        const u = t / duration;
+        // Rise, hold, crack downward, with a nervous vibrato
+        const glide = u < 0.15 ? 0.8 + u / 0.15 * 0.35 : 1.15 - Math.max(0, u - 0.6) * 0.8;
+        const f0 = pitch * glide * (1 + Math.sin(2 * Math.PI * 6.5 * t) * 0.025 + noise(rng) * 0.004);
+        phase = (phase + f0 / sr) % 1;
+        const source = (phase * 2 - 1) + noise(rng) * 0.15; // Sawtooth + breath
+        let voice = 0;
+        for (let k = 0; k < formants.length; k++) voice += formants[k].process(source) * gains[k];
+        const env = Math.min(1, t / 0.08) * Math.min(1, (duration - t) / 0.35);
+        data[i] = voice * env;
+    }
+    return normalize(data, 0.85);
+}
+
+function helicopter(sr, rng) {
+    const bladeRate = 12; // Blade passes per second
+    const body = new Biquad('lowpass', 220, 1.2, sr);
+    const whine = new Biquad('bandpass', 1800, 12, sr);
+    return normalize(renderLoop(2, 0.25, sr, (length) => {
+        const data = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const t = i / sr;
+            const n = noise(rng);
+            const bladePhase = (t * bladeRate) % 1;
+            const thump = Math.exp(-bladePhase / 0.12);
+            data[i] = body.process(n) * (0.35 + thump * 2.2)
+                    + Math.sin(2 * Math.PI * 88 * t) * 0.15 * (0.6 + thump * 0.4)
+                    + whine.process(n) * 0.25;
+        }
+        return data;
+    }), 0.8);
+}
+
+function debris(sr, rng) {
+    const data = new Float32Array(Math.floor(1.8 * sr));
+    const hits = [];
+    for (let t = 0; t < 1.4; t += rng.range(0.03, 0.18)) {
+        hits.push({ time: t, amp: Math.exp(-t / 0.6) * rng.range(0.4, 1), decay: rng.range(0.02, 0.09) });
+    }
+    const low = new Biquad('lowpass', 500, 0.9, sr);
+    const grit = new Biquad('bandpass', 2500, 1.5, sr);
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        const n = noise(rng);
+        let env = 0;
+        for (const h of hits) env += envelope(t - h.time, 0.002, h.decay) * h.amp;
+        data[i] = low.process(n) * env * 2 + grit.process(n) * env * 0.5;
+    }
+    return normalize(data);
+}
+
+function breathing(sr, rng) {
+    const cycle = 1.6; // Fast, heavy breaths after running
+    const inhale = new Biquad('bandpass', 1600, 1.2, sr);
+    const exhale = new Biquad('bandpass', 700, 1.0, sr);
+    return normalize(renderLoop(cycle * 2, 0.1, sr, (length) => {
+        const data = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const t = i / sr;
+            const u = (t % cycle) / cycle;
+            const n = noise(rng);
+            // Inhale for the first 40% of the cycle, exhale for the rest
+            const inEnv = u < 0.4 ? Math.pow(Math.sin(u / 0.4 * Math.PI), 2) : 0;
+            const outEnv = u >= 0.4 ? Math.pow(Math.sin((u - 0.4) / 0.6 * Math.PI), 1.5) : 0;
+            data[i] = inhale.process(n) * inEnv * 0.8 + exhale.process(n) * outEnv;
+        }
+        return data;
+    }), 0.7);
+}
+
+function footsteps(sr, rng) {
+    const stepInterval = 0.35; // ~170 steps per minute - running
+    const steps = 4;
+    const scuff = new Biquad('bandpass', 1400, 1.2, sr);
+    const thud = new Biquad('lowpass', 160, 1, sr);
+    const offsets = Array.from({ length: steps }, () => rng.range(-0.015, 0.015));
+    const levels = Array.from({ length: steps }, () => rng.range(0.75, 1));
+    const data = new Float32Array(Math.floor(steps * stepInterval * sr));
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        const n = noise(rng);
+        let env = 0;
+        let scuffEnv = 0;
+        for (let k = 0; k < steps; k++) {
+            const dt = t - (k * stepInterval + offsets[k] + 0.02);
+            env += envelope(dt, 0.002, 0.04) * levels[k];
+            scuffEnv += envelope(dt - 0.01, 0.005, 0.03) * levels[k];
+        }
+        data[i] = thud.process(n) * env * 3 + scuff.process(n) * scuffEnv * 0.5;
+    }
+    return normalize(data, 0.8);
+}
+
+function gasp(sr, rng) {
+    const duration = 0.7;
+    const data = new Float32Array(Math.floor(duration * sr));
+    const air = new Biquad('bandpass', 1900, 1.5, sr);
+    const voice = new Biquad('bandpass', 700, 5, sr);
+    let phase = 0;
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        const n = noise(rng);
+        phase = (phase + 260 / sr) % 1;
+        // Sharp intake that chokes off
+        const env = envelope(t, 0.05, 0.16);
+        data[i] = air.process(n) * env + voice.process(phase * 2 - 1) * env * 0.2;
+    }
+    return normalize(data, 0.7);
+}
+
+function cityAmbience(sr, rng) {
+    const traffic = new Biquad('lowpass', 140, 0.7, sr);
+    const hiss = new Biquad('bandpass', 2200, 0.5, sr);
+    return normalize(renderLoop(8, 1, sr, (length) => {
+        const data = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const t = i / sr;
+            const n = noise(rng);
+            // Slow swells, like cars passing a block away
+            const swell = 0.6 + 0.25 * Math.sin(2 * Math.PI * t / 4) + 0.15 * Math.sin(2 * Math.PI * t / 1.7 + 1);
+            data[i] = traffic.process(n) * swell * 3 + hiss.process(n) * 0.04;
+        }
+        return data;
+    }), 0.6);
+}
+
+function wind(sr, rng) {
+    const band = new Biquad('bandpass', 500, 2, sr);
+    return normalize(renderLoop(6, 1, sr, (length) => {
+        const data = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const t = i / sr;
+            // Sweep the band slowly so it gusts
+            if (i % 64 === 0) {
+                band.set(450 + 250 * Math.sin(2 * Math.PI * t / 6) + 120 * Math.sin(2 * Math.PI * t / 2.3), 2);
+            }
+            const gust = 0.55 + 0.45 * Math.sin(2 * Math.PI * t / 3 + 0.5);
+            data[i] = band.process(noise(rng)) * gust;
+        }
+        return data;
+    }), 0.6);
+}
+
+const GENERATORS = {
+    cityAmbience,
+    wind,
+    gunshot,
+    explosion,
+    carCrash,
+    scream,
+    helicopter,
+    debris,
+    breathing,
+    footsteps,
+    gasp
+};
+
+// Render a sound for an ASSETS.sounds key into an AudioBuffer (null for unknown keys)
+export function synthesizeSound(key, context) {
+    const generate = GENERATORS[key];
+    if (!generate) return null;
+
+    const samples = generate(context.sampleRate, new SeededRandom(`synth:${key}`));
+    const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+    buffer.copyToChannel(samples, 0);
+    return buffer;
+}
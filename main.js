@@ -5,15 +5,201 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { BodyCamShader } from './BodyCamShader.js';
+import { CAMERA_PRESETS, applyCameraPreset } from './CameraPresets.js';
+import { HudShader } from './HudShader.js';
+import { FrameHud } from './FrameHud.js';
+import { SeededRandom, randomSeed } from './SeededRandom.js';
+import { SimClock } from './SimClock.js';
+import { AudioEngine } from './AudioEngine.js';
+import { synthesizeSound } from './SoundSynth.js';
+import { loadScenario, parseScenario, ScenarioRunner } from './Scenario.js';
+import { chaosRegistry, registerChaosEvent } from './ChaosRegistry.js';
+import { ChaosDirector } from './ChaosDirector.js';
+import { NavMesh } from './NavMesh.js';
+import { Personality } from './Personality.js';
+import { Physiology } from './Physiology.js';
+import { Health } from './Health.js';
+import { Perception } from './Perception.js';
+import { Recorder } from './Recorder.js';
+import { EventLog, Replay } from './EventLog.js';
+import { FrameExporter } from './FrameExporter.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
     // Path to your single environment GLB file
     environmentModel: './environment.glb',
     
-    // Chaos event timing
-    chaosInterval: [8000, 18000],
-    chaosChainChance: 0.25,
+    // Random seed - the same seed replays the same street, chaos events and NPC decisions.
+    // null = new seed every run. Override with ?seed=1234 (or any string) in the URL.
+    seed: null,
+    
+    // Scripted scenario (JSON timeline, see scenarios/README.md), e.g. './scenarios/example.json'.
+    // null = random chaos only. Override with ?scenario=path in the URL.
+    scenario: null,
+    
+    // Chaos director pacing (all times in seconds of simulation time).
+    // Random chaos follows a tension curve: BUILDUP -> PEAK -> RELIEF, repeating,
+    // with every cycle escalating a little further.
+    director: {
+        phases: {
+            BUILDUP: [25, 40],
+            PEAK: [8, 14],
+            RELIEF: [12, 20]        // Held longer until the NPC calms down
+        },
+        calmInterval: [8, 18],      // Gap between events at tension 0
+        peakInterval: [1.5, 4],     // ...and at tension 1
+        chainChance: 0.25,          // Chance of rapid follow-ups at full tension
+        baseTension: 0.1,
+        peakTension: 0.75,
+        escalationPerCycle: 0.2,
+        maxEscalation: 1,
+        escalationTension: 0.3,     // How much full escalation raises the baseline
+        reliefCalmLevel: 0.35       // NPC alert level relief waits for
+    },
+    
+    // Extra chaos event modules (paths relative to main.js). Each registers
+    // itself with registerChaosEvent() when imported - see ChaosRegistry.js.
+    chaosModules: [],
+    
+    // Simulation stepping - the world advances in fixed ticks, so pause,
+    // slow motion and single-frame stepping behave the same on every machine
+    simulation: {
+        tickRate: 60,           // Ticks per simulated second
+        maxTicksPerFrame: 8,    // Enough for 4x speed at ~30fps; beyond that we drop time
+        timeScales: [0.1, 0.25, 0.5, 1, 2, 4]   // Steps for the [ / ] hotkeys
+    },
+    
+    // NPC pathfinding on a navmesh built from the walkable_* surfaces,
+    // with collider_*, vehicle_* and building* footprints carved out
+    navigation: {
+        agentRadius: 0.35,      // Matches the NPC's physics sphere
+        agentHeight: 1.7,       // Headroom needed - lower overhangs are not walkable
+        maxStep: 0.3,           // Tallest step (curb) the NPC walks up
+        cellSize: 0.25,         // Rasterisation resolution - smaller is finer but slower to build
+        maxPolySize: 2,         // Largest polygon side - resting debris blocks whole polygons
+        nodeSpacing: 2,         // Spacing of the destination points sampled from the mesh
+        waypointRadius: 0.8,    // How close counts as reaching a waypoint
+        obstacleCheckInterval: 0.5, // Seconds between scans for debris that came to rest
+        restSpeed: 0.3          // Debris slower than this (m/s) counts as resting
+    },
+    
+    // Local steering on top of the planned path
+    steering: {
+        lookahead: 3,           // Meters ahead the NPC watches for debris in its way
+        avoidWeight: 1.5,       // How hard it veers around something ahead
+        separationRadius: 0.8,  // Extra distance kept from anything loose nearby
+        separationWeight: 1
+    },
+    
+    // What civilians notice: sounds fade with distance and walls, sights need
+    // the view cone and a clear line (see Perception.js)
+    perception: {
+        hearingRange: 150,          // Meters a loudness-1 sound carries
+        occludedHearing: 0.5,       // Loudness left behind a wall
+        localizationError: 0.25,    // Meters of guessing error per meter away (heard, not seen)
+        sightRange: 80,
+        viewAngle: 140,             // Degrees, horizontal
+        verticalViewAngle: 100,
+        lookInterval: 0.25,         // Seconds between sight checks
+        minSeverityScale: 0.4,      // How scary something is at the edge of range
+        defaultLoudness: 0.6,       // For events that don't declare it
+        defaultVisibleFor: 3
+    },
+    
+    // Vitals (heart rate, stamina, breathing) - see Physiology.js for the rest
+    physiology: {
+        sprintSpeed: 8,             // Ground speed that counts as full exertion
+        restingHeartRate: 72,
+        maxHeartRate: 185,
+        staminaDrain: 0.09,         // Per second flat out (average fitness)
+        staminaRecovery: 0.05       // Per second standing still
+    },
+    
+    // Injuries from impacts (flying cars, debris) - see Health.js for the rest
+    injury: {
+        minImpulse: 80,             // N·s that doesn't hurt
+        lethalImpulse: 1200,        // N·s that takes all health at once
+        rehitTime: 0.5              // Seconds before the same body can hurt again
+    },
+    
+    // Behaviours besides fight-or-flight (personality traits scale the chances)
+    behaviour: {
+        investigateChance: 0.5,     // Something quiet: goes to have a look (curiosity)
+        investigateDistance: 4,     // Stops this far short of it (closer if brave)
+        freezeChance: 0.35,         // Something sudden: freezes before running (timid, jumpy)
+        helpRange: 25,              // Sees someone down this far away...
+        helpChance: 0.6,            // ...and goes to help (bravery, less if still on edge)
+        callChance: 0.5,            // Once it's over: calls 911 about it
+        callCooldown: 60,           // Seconds before calling again
+        dialTime: 3                 // Seconds of ringing before the call connects
+    },
+    
+    // Saving the feed to WebM clips (R starts/stops) - see Recorder.js
+    recording: {
+        fps: 30,
+        videoBitsPerSecond: 8000000,
+        preRoll: 0,                 // Seconds kept from before a clip starts, e.g. 10 (0 = off - buffering runs a second encoder)
+        autoRecordChaos: false,     // Start a clip whenever a chaos event fires...
+        afterChaos: 15              // ...and stop it this many sim seconds after the last one
+    },
+    
+    // HUD drawn into the frame (H toggles) instead of HTML on top of it, so
+    // recordings and renders carry it - see FrameHud.js / HudShader.js
+    hud: {
+        inFrame: false,
+        bloom: 0.6,                 // Glow of the burnt-in overlay
+        noise: 0.12                 // Sensor noise on it
+    },
+    
+    // What the footage was shot on (C cycles, ?camera= picks) - see CameraPresets.js
+    camera: {
+        preset: 'bodycam'           // bodycam, dashcam, cctv, phone, camcorder
+    },
+    
+    // Offline render (O starts/stops): the world steps a fixed 1/fps per frame whatever
+    // the wall clock does, and every frame is saved as a PNG - see FrameExporter.js
+    offlineRender: {
+        fps: 30,
+        duration: 20,               // Seconds of sim time
+        replayToEnd: true,          // In a replay, render to the end of the recording instead
+        format: 'directory',        // 'directory' (asks for a folder) or 'zip' (one download, held in memory)
+        width: null,                // Frame size in pixels (null = the window's)
+        height: null
+    },
+    
+    // Control room: live feeds from several bodycams at once
+    controlRoom: {
+        maxFeeds: 9                 // Grid of up to 3x3
+    },
+    
+    // Civilians on the street - the first one wears the bodycam on screen.
+    // Each reacts to chaos on their own; panic spreads by sight and by screams.
+    crowd: {
+        size: 6,                    // Including the bodycam wearer
+        perceptionInterval: 0.5,    // Seconds between looks around for others running
+        sightRange: 25,             // How far away someone fleeing is noticed
+        contagion: 0.35,            // Threat severity per civilian seen fleeing
+        screamChance: 0.5,          // Chance to scream when breaking into a run
+        screamLoudness: 0.15,       // Carries ~20m (see perception.hearingRange)
+        screamSeverity: 0.55,
+        // Personality by civilian index: a profile from Personality.js (average, coward,
+        // hero, rubbernecker, athlete, elderly), { bravery, curiosity, fitness, jumpiness }
+        // or 'random'. Anyone past the end of the list is random (per seed).
+        personalities: ['average'],
+        personalityJitter: 0.08     // Random spread on named profiles
+    },
+    
+    // Cover choice: spots the remembered threats can see (raycast against
+    // static colliders) are ranked down, and hiding spots are re-checked
+    // while cowering when a threat moves or a new one appears
+    cover: {
+        rayHeights: [0.5, 1.0],     // Above the spot: crouched torso and head
+        exposureWeight: 15,         // A fully exposed spot scores like one this many meters worse
+        candidates: 12,             // Best-by-distance spots that get raycast
+        recheckInterval: 0.5,       // Seconds between checks while cowering
+        moveThreshold: 2,           // Meters a threat has to move to trigger a re-check
+        maxExposure: 0.4            // Above this the NPC leaves for better cover
+    },
     
     // Debug visualization
     showDebug: false,
@@ -40,9 +226,10 @@ COLLISION / PHYSICS:
   collider_box_*  - Box-shaped collider
   
 NAVIGATION:
-  walkable_*      - Surface the NPC can walk on (used for nav grid)
+  walkable_*      - Surface the NPC can walk on (the navmesh is built on these;
+                    collider_*, vehicle_* and building* objects are cut out of it)
   cover_*         - Hiding spot (NPC will run here when panicking)
-  spawn_*         - NPC spawn point (uses first one found)
+  spawn_*         - Civilian spawn points (the first one found is the bodycam wearer's)
   
 LIGHTING:
   light_point_*   - Point light (uses object position, set color in Blender)
@@ -65,7 +252,32 @@ EXAMPLES:
 */
 
 // --- ASSET PATHS ---
+// Paths are relative to ./assets/. Anything missing falls back to the procedural version.
 const ASSETS = {
+    models: {
+        // Street (placed by the procedural generator, fitted to its sizes)
+        buildingTall: 'models/building_tall.glb',
+        buildingMedium: 'models/building_medium.glb',
+        buildingShort: 'models/building_short.glb',
+        busStop: 'models/bus_stop.glb',
+        streetLight: 'models/street_light.glb',
+        sidewalk: 'models/sidewalk.glb',
+        road: 'models/road.glb',
+        carParked: 'models/car_parked.glb',
+        
+        // Chaos
+        flyingCar: 'models/car_flying.glb',
+        crashedCar: 'models/car_crashed.glb',
+        debris: 'models/debris.glb',
+        explosionDebris: 'models/explosion_debris.glb',
+        muzzleFlash: 'models/muzzle_flash.glb',
+        
+        // People
+        npcMain: 'models/npc_main.glb',
+        npcRunner: 'models/npc_runner.glb',
+        npcCivilian: 'models/npc_civilian.glb',
+    },
+    
     sounds: {
         // Ambient
         cityAmbience: 'sounds/city_ambience.mp3',
@@ -86,58 +298,149 @@ const ASSETS = {
     }
 };
 
+// How far each sound carries: refDistance is the radius at full volume,
+// beyond it the level falls off with distance
+const SOUND_SETTINGS = {
+    gunshot: { refDistance: 12 },
+    explosion: { refDistance: 20 },
+    carCrash: { refDistance: 12 },
+    scream: { refDistance: 6 },
+    helicopter: { refDistance: 25 },
+    debris: { refDistance: 6 },
+    footsteps: { refDistance: 3 }
+};
+
 // --- LOADED ASSETS CACHE ---
-const loadedSounds = {};
+let audio = null; // AudioEngine - created in init() once the bodycam exists
+let recorder = null; // Recorder - created in init() if the browser can record
+const loadedModels = {}; // key -> THREE.Object3D template, or null if the file wasn't found
 const gltfLoader = new GLTFLoader();
 
+// Per-item load progress (0-1) for the loading screen
+const loadingProgress = {};
+
 // Environment data extracted from GLB
 let environmentData = {
     loaded: false,
     spawnPoint: new THREE.Vector3(0, 1, 0),
+    spawnPoints: [],
     lightPositions: [],
     coverPositions: []
 };
 
-// Sound loading and playback
+// Sound loading and playback (positional Web Audio via AudioEngine).
+// Missing files are replaced by a procedurally synthesized version.
 function loadSound(key) {
-    if (loadedSounds[key]) return loadedSounds[key];
-    
     const path = ASSETS.sounds[key];
-    if (!path) return null;
+    if (!path || !audio) return Promise.resolve(null);
+    return audio.load(key, `./assets/${path}`, (context) => {
+        console.log(`Sound not found, synthesizing: ${key}`);
+        return synthesizeSound(key, context);
+    });
+}
+
+// options: { position | object, volume, loop } - pass a position or an object
+// to place the sound in the world; without either it plays "in the head"
+// (the wearer's own breathing, gasps). Returns a handle for stopSound().
+function playSound(key, options = {}) {
+    if (!audio) return null;
+    return audio.play(key, { ...SOUND_SETTINGS[key], ...options });
+}
+
+function stopSound(handle) {
+    if (handle) handle.stop();
+}
+
+// --- MODEL REGISTRY ---
+// Loads every ASSETS.models entry in parallel. A missing or broken file only
+// affects that one asset - its users fall back to their procedural mesh.
+async function preloadModels() {
+    const keys = Object.keys(ASSETS.models);
+    
+    await Promise.all(keys.map(async (key) => {
+        const progressKey = `model:${key}`;
+        try {
+            const gltf = await gltfLoader.loadAsync(
+                `./assets/${ASSETS.models[key]}`,
+                xhr => reportLoadingProgress(progressKey, xhr.total ? xhr.loaded / xhr.total : 0)
+            );
+            loadedModels[key] = gltf.scene;
+        } catch (e) {
+            loadedModels[key] = null;
+        }
+        reportLoadingProgress(progressKey, 1);
+    }));
     
-    try {
-        const audio = new Audio(`./assets/${path}`);
-        loadedSounds[key] = audio;
-        return audio;
-    } catch (e) {
-        return null;
-    }
+    const found = keys.filter(key => loadedModels[key]);
+    console.log(`Models loaded: ${found.length}/${keys.length}` + (found.length ? ` (${found.join(', ')})` : ' - using procedural meshes'));
 }
 
-function playSound(key, volume = 1.0, loop = false) {
-    const sound = loadSound(key);
-    if (sound) {
-        const instance = sound.cloneNode();
-        instance.volume = Math.min(1, Math.max(0, volume));
-        instance.loop = loop;
-        instance.play().catch(() => {});
-        return instance;
-    }
-    return null;
+// Clone a preloaded model ready to add to the scene, or null if it isn't available
+function cloneModel(key) {
+    const template = loadedModels[key];
+    if (!template) return null;
+    
+    const model = template.clone();
+    model.traverse(child => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        }
+    });
+    return model;
 }
 
-function stopSound(audioInstance) {
-    if (audioInstance) {
-        audioInstance.pause();
-        audioInstance.currentTime = 0;
+// Place a street model standing on the ground at (x, groundY, z).
+// With fitSize the model is stretched to that bounding box (for generated sizes);
+// otherwise it keeps its real-world scale.
+function placeModel(key, x, groundY, z, fitSize = null, rotationY = 0) {
+    const model = cloneModel(key);
+    if (!model) return null;
+    
+    model.rotation.y = rotationY;
+    const box = new THREE.Box3().setFromObject(model);
+    const size = new THREE.Vector3();
+    box.getSize(size);
+    
+    if (fitSize) {
+        // fitSize.y = 0 keeps the model's own height (e.g. road slabs)
+        model.scale.set(
+            fitSize.x / Math.max(size.x, 1e-3),
+            fitSize.y ? fitSize.y / Math.max(size.y, 1e-3) : 1,
+            fitSize.z / Math.max(size.z, 1e-3)
+        );
+        box.setFromObject(model);
     }
+    
+    const center = new THREE.Vector3();
+    box.getCenter(center);
+    model.position.set(x - center.x, groundY - box.min.y, z - center.z);
+    scene.add(model);
+    return model;
+}
+
+// Combine per-item progress into the #loading bar
+function reportLoadingProgress(key, fraction) {
+    loadingProgress[key] = Math.min(1, Math.max(loadingProgress[key] || 0, fraction));
+    
+    const keys = Object.keys(loadingProgress);
+    const total = keys.reduce((sum, k) => sum + loadingProgress[k], 0) / keys.length;
+    const done = keys.filter(k => loadingProgress[k] >= 1).length;
+    
+    document.querySelector('#loading .loading-fill').style.width = `${(total * 100).toFixed(1)}%`;
+    document.getElementById('loading-status').textContent =
+        `${String(Math.round(total * 100)).padStart(3, ' ')}% // ${done}/${keys.length} ASSETS`;
 }
 
 // --- ENVIRONMENT GLB LOADER ---
 async function loadEnvironmentGLB() {
     try {
         console.log(`Loading environment from: ${CONFIG.environmentModel}`);
-        const gltf = await gltfLoader.loadAsync(CONFIG.environmentModel);
+        const gltf = await gltfLoader.loadAsync(
+            CONFIG.environmentModel,
+            xhr => reportLoadingProgress('environment', xhr.total ? xhr.loaded / xhr.total : 0)
+        );
+        reportLoadingProgress('environment', 1);
         
         console.log('Environment GLB loaded, parsing tagged objects...');
         parseEnvironmentScene(gltf.scene);
@@ -149,14 +452,13 @@ async function loadEnvironmentGLB() {
         return true;
     } catch (e) {
         console.warn('Environment GLB not found, using procedural fallback');
+        reportLoadingProgress('environment', 1);
         return false;
     }
 }
 
 // Parse the GLB scene and set up physics, lights, nav based on object names
 function parseEnvironmentScene(envScene) {
-    const walkableSurfaces = [];
-    
     envScene.traverse((child) => {
         const name = child.name.toLowerCase();
         
@@ -175,9 +477,8 @@ function parseEnvironmentScene(envScene) {
             createColliderFromObject(child);
         }
         
-        // --- WALKABLE SURFACES ---
+        // --- WALKABLE SURFACES (the navmesh is built on these) ---
         if (name.startsWith('walkable')) {
-            walkableSurfaces.push(child);
             // Also create physics collider for walkable surfaces
             if (child.isMesh) {
                 createColliderFromObject(child);
@@ -206,7 +507,8 @@ function parseEnvironmentScene(envScene) {
         if (name.startsWith('spawn')) {
             const pos = new THREE.Vector3();
             child.getWorldPosition(pos);
-            environmentData.spawnPoint.copy(pos);
+            if (environmentData.spawnPoints.length === 0) environmentData.spawnPoint.copy(pos);
+            environmentData.spawnPoints.push(pos);
             console.log(`Spawn point found: ${child.name} at`, pos);
         }
         
@@ -270,11 +572,6 @@ function parseEnvironmentScene(envScene) {
         }
     });
     
-    // Build navigation grid from walkable surfaces
-    if (walkableSurfaces.length > 0) {
-        buildNavGridFromSurfaces(walkableSurfaces);
-    }
-    
     console.log(`Environment parsed: ${coverSpots.length} cover spots, ${environmentData.lightPositions.length} lights`);
 }
 
@@ -307,99 +604,154 @@ function createColliderFromObject(obj) {
     world.addBody(body);
 }
 
-// Build navigation grid by raycasting onto walkable surfaces
-function buildNavGridFromSurfaces(surfaces) {
-    console.log('Building navigation grid from walkable surfaces...');
-    
-    const raycaster = new THREE.Raycaster();
-    const down = new THREE.Vector3(0, -1, 0);
-    
-    // Get bounds of all walkable surfaces
-    const totalBounds = new THREE.Box3();
-    surfaces.forEach(surf => {
-        const box = new THREE.Box3().setFromObject(surf);
-        totalBounds.union(box);
-    });
-    
-    const min = totalBounds.min;
-    const max = totalBounds.max;
-    const step = 1.5; // Grid spacing
-    
-    for (let x = min.x; x <= max.x; x += step) {
-        for (let z = min.z; z <= max.z; z += step) {
-            const origin = new THREE.Vector3(x, max.y + 5, z);
-            raycaster.set(origin, down);
-            
-            for (const surface of surfaces) {
-                const intersects = raycaster.intersectObject(surface, true);
-                if (intersects.length > 0) {
-                    const hit = intersects[0];
-                    // Only add if surface is relatively flat
-                    if (hit.face && hit.face.normal.y > 0.7) {
-                        navNodes.push(hit.point.clone());
-                        
-                        if (CONFIG.showDebug) {
-                            const dot = new THREE.Mesh(
-                                new THREE.SphereGeometry(0.1),
-                                new THREE.MeshBasicMaterial({ color: 0x00ff00 })
-                            );
-                            dot.position.copy(hit.point);
-                            dot.position.y += 0.1;
-                            scene.add(dot);
-                        }
-                    }
-                    break; // Only need one hit per grid point
-                }
-            }
-        }
-    }
-    
-    console.log(`Navigation grid built: ${navNodes.length} nodes from GLB surfaces`);
-}
-
 // --- GLOBALS ---
-let scene, camera, renderer, composer, bodyCamPass;
+let scene, camera, renderer, composer, renderPass, bodyCamPass, hudPass;
+let frameHud = null; // In-frame HUD texture (see FrameHud.js)
+let cameraPreset = null; // CAMERA_PRESETS key every bodycam pass is set to
 let world, clock = new THREE.Clock();
 let physicsBodies = [], physicsMeshes = [];
-let startTime = Date.now();
-
-// NPC AI STATE MACHINE
-let npc = {
-    body: null,
-    mesh: null,
-    status: 'IDLE', // IDLE, PANIC, COWERING, LOOKING, CAUTIOUS
-    targetNode: null, 
-    shake: 0,
-    yaw: 0,      // Horizontal rotation (left/right)
-    pitch: 0,    // Vertical rotation (up/down) - clamped to prevent flip
-    panicTimer: 0,
-    lastDangerPos: new THREE.Vector3(),
-    crouchAmount: 0,  // 0 = standing, 1 = crouched
-    coverDirection: new THREE.Vector3(), // Direction to face when hiding
-    lastPos: new THREE.Vector3(),       // For stuck detection
-    stuckTime: 0,                       // How long we've barely moved
-    fleeAfterHide: false,               // After hiding, run far away from last danger before idling
-    // Smarter AI additions
-    dangerMemory: [],                   // Recent danger positions [{pos, time}]
-    alertLevel: 0,                      // 0-1, how on-edge they are
-    lastLookAroundTime: 0,              // For nervous glancing
-    breathingPhase: 0,                  // For realistic breathing motion
-    recentDangerCount: 0                // Track how many dangers recently
+
+// Simulation time - everything timed in the world (chaos chains, lifetimes,
+// memory decay, shake) runs off this instead of wall-clock timers.
+// clock above is only used to measure real frame time.
+const simClock = new SimClock();
+
+// TIME CONTROL (pause / slow motion / frame stepping)
+const SIM_TICK = 1 / CONFIG.simulation.tickRate;
+const timeControl = {
+    paused: false,
+    timeScale: 1,
+    pendingSteps: 0,    // Ticks requested by frame-stepping while paused
+    accumulator: 0,     // Scaled real time not yet simulated
+    alpha: 1            // How far rendering is between the last two ticks
+};
+
+// SEEDED RANDOMNESS
+// One master seed, with a separate stream per system so e.g. extra AI rolls
+// on a fast machine don't change which chaos events get picked.
+// Seeded in init(), once we know whether a scenario pins the seed.
+let runSeed = null;
+const rng = {
+    env: null,
+    chaos: null,
+    ai: null
+};
+
+// NPC AI STATE MACHINE - states grouped by how shaken the civilian is.
+// A new threat is handled by group (anything calm can be startled into looking),
+// so a new calm behaviour doesn't need its own case in every reaction.
+const NPC_STATE_GROUPS = {
+    calm: ['IDLE', 'CAUTIOUS', 'INVESTIGATING', 'PHONE', 'HELPING'],
+    alarmed: ['LOOKING', 'FROZEN'],
+    fleeing: ['PANIC', 'COWERING'],
+    down: ['DOWN']
+};
+const NPC_STATES = Object.values(NPC_STATE_GROUPS).flat();
+// CIVILIANS (see class NPC) - npc is the one whose bodycam is on screen
+let crowd = [];
+let npc = null;
+
+// PERCEPTION - what each civilian sees and hears of the chaos
+const perception = new Perception({
+    clock: simClock,
+    observers: () => crowd,
+    lineOfSight: (from, to) => hasLineOfSight(from, 0, to),
+    config: CONFIG.perception
+});
+
+// Sound and sight of an event, for the crowd to notice (or not). Events that
+// don't say how loud or visible they are get the defaults.
+function emitStimulus(stimulus) {
+    const { defaultLoudness, defaultVisibleFor } = CONFIG.perception;
+    return perception.emit({ loudness: defaultLoudness, visibleFor: defaultVisibleFor, ...stimulus });
+}
+
+// CONTROL ROOM (grid of bodycam feeds instead of a single one)
+const controlRoom = {
+    active: false,
+    feeds: [],          // { civilian, composer, pass, cell, ... } per grid cell
+    columns: 1,
+    cellWidth: 0,
+    cellHeight: 0
 };
 
 // NAVIGATION
-let navNodes = [];
+let navMesh = null;  // Built once the environment exists
+let navNodes = [];   // Destination points spread over the navmesh
 let coverSpots = []; // Special spots to hide
 
 // CHAOS TRACKING
 let activeChaosSources = [];
 
+// What chaos event spawners get to work with (built-in and module events alike)
+const chaosContext = {
+    THREE,
+    CANNON,
+    config: CONFIG,
+    clock: simClock,
+    get scene() { return scene; },
+    get world() { return world; },
+    get rng() { return rng.chaos; },
+    playSound,
+    stopSound,
+    cloneModel,
+    addPhysicsObject: registerPhysicsObjectWithModel,
+    fadeOutFlash,
+    emitStimulus: (stimulus) => emitStimulus(stimulus),
+    reportThreat: (threat) => emitStimulus(threat), // Older name
+    npcState: () => directorFocus.getState(),   // The followed civilian (see directorFocus), not the one on screen
+    crowdState: () => crowd.map(civilian => civilian.getState())
+};
+
+// SCRIPTED SCENARIO (null when running random chaos only)
+let scenario = null;
+let scenarioRunner = null;
+
+// Paces random chaos - created in init()
+let director = null;
+// Civilian the run follows - their stress paces the director, and chaos without
+// a position happens around them. Follows the bodycam on screen, except in a
+// replay, where it follows the recording (watching another cam changes nothing)
+let directorFocus = null;
+
+// EVENT LOG (see EventLog.js) - every run; replay is set when playing one back
+let eventLog = null;
+let replay = null;
+const REPLAY_STORAGE_KEY = 'bodycam.replay';
+// CONFIG sections that change what happens (not how it looks) - a replay
+// with different ones won't match
+const SIMULATION_CONFIG = ['director', 'simulation', 'navigation', 'steering', 'perception',
+    'physiology', 'injury', 'behaviour', 'crowd', 'cover', 'useProcedural', 'proceduralSettings'];
+
 // --- INITIALIZATION ---
 init();
 
 async function init() {
-    // 0. PRELOAD SOUNDS
-    preloadSounds();
+    // 0. CHAOS EVENTS, SCENARIO + SEED - scenarios may use module events
+    // and pin the seed, so these come first
+    registerBuiltInChaosEvents();
+    await loadChaosModules();
+    replay = await loadReplay();
+    if (replay) {
+        scenario = replay.scenario && parseScenario(replay.scenario, chaosRegistry.ids(), 'replay scenario');
+        seedRandomStreams(replay.seed);
+    } else {
+        scenario = await loadScenarioFromConfig();
+        seedRandomStreams(resolveSeed(scenario?.seed));
+    }
+    console.log(`Run seed: ${runSeed}`);
+    document.getElementById('seed-id').textContent = replay ? `${runSeed} (REPLAY)` : runSeed;
+    
+    // 0b. EVENT LOG - also recorded during a replay, checked against the original
+    const settings = simulationSettings();
+    eventLog = new EventLog({
+        clock: simClock,
+        setup: { seed: runSeed, scenario, config: settings },
+        expect: replay && replay.events
+    });
+    if (replay && JSON.stringify(replay.config) !== JSON.stringify(settings)) {
+        console.warn('Replay was recorded with different simulation settings - it may not match');
+    }
     
     // 1. SCENE SETUP
     scene = new THREE.Scene();
@@ -408,6 +760,14 @@ async function init() {
 
     // High FOV for bodycam aesthetic
     camera = new THREE.PerspectiveCamera(95, window.innerWidth / window.innerHeight, 0.1, 150);
+    scene.add(camera); // Parent for the audio listener
+    
+    // 1b. AUDIO - listener rides on the bodycam; delays run on the sim clock
+    audio = new AudioEngine(camera, scene, {
+        schedule: (delay, fn) => simClock.after(delay, fn),
+        cancel: id => simClock.cancel(id)
+    });
+    preloadSounds();
     
     renderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: 'high-performance' });
     renderer.setSize(window.innerWidth, window.innerHeight);
@@ -432,80 +792,299 @@ async function init() {
     groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
     world.addBody(groundBody);
 
-    // 3. LOAD ENVIRONMENT
-    // Try to load GLB environment first, fall back to procedural if not found
-    const glbLoaded = await loadEnvironmentGLB();
+    // 3. LOAD ENVIRONMENT + MODELS
+    // Try to load GLB environment first, fall back to procedural if not found.
+    // Register every item up front so the bar doesn't jump back as loads start.
+    reportLoadingProgress('environment', 0);
+    Object.keys(ASSETS.models).forEach(key => reportLoadingProgress(`model:${key}`, 0));
+    const [glbLoaded] = await Promise.all([loadEnvironmentGLB(), preloadModels()]);
     
     if (!glbLoaded && CONFIG.useProcedural) {
         console.log('Building procedural environment...');
         buildStreetEnvironment();
-        buildNavigationGrid();
     }
+    buildNavMesh();
     
-    // 4. CREATE NPC (at spawn point from GLB or default)
-    createNPC(environmentData.spawnPoint);
+    // 4. CREATE THE CROWD (bodycam wearer at the spawn point from scenario, GLB or default)
+    if (scenario?.spawn) {
+        environmentData.spawnPoint.set(scenario.spawn.x, scenario.spawn.y, scenario.spawn.z);
+    }
+    spawnCrowd();
+    directorFocus = npc;
+    updateCamId();
+    if (scenario?.npc) applyScenarioNPCState(scenario.npc);
 
     // 5. LIGHTING
     setupLighting();
 
     // 6. POST PROCESSING
     composer = new EffectComposer(renderer);
-    composer.addPass(new RenderPass(scene, camera));
+    renderPass = new RenderPass(scene, camera);
+    composer.addPass(renderPass);
     bodyCamPass = new ShaderPass(BodyCamShader);
     composer.addPass(bodyCamPass);
+    bodyCamPass.uniforms['aspect'].value = window.innerWidth / window.innerHeight;
+    const cameraParam = new URLSearchParams(window.location.search).get('camera');
+    if (!cameraParam || !setCameraPreset(cameraParam)) setCameraPreset(CONFIG.camera.preset);
+    // In-frame HUD, composited after the bodycam look (off unless CONFIG.hud.inFrame)
+    frameHud = new FrameHud(document.getElementById('ui-layer'), document.getElementById('alert-overlay'));
+    hudPass = new ShaderPass(HudShader);
+    hudPass.uniforms['tHud'].value = frameHud.texture;
+    hudPass.uniforms['resolution'].value = new THREE.Vector2();
+    hudPass.uniforms['bloom'].value = CONFIG.hud.bloom;
+    hudPass.uniforms['noise'].value = CONFIG.hud.noise;
+    composer.addPass(hudPass);
+    sizeFrameHud();
+    setFrameHud(CONFIG.hud.inFrame);
 
-    // 7. START CHAOS DIRECTOR
-    scheduleNextEvent();
+    // 7. START CHAOS DIRECTOR (scripted, random, or both)
+    if (scenario) {
+        scenarioRunner = new ScenarioRunner(scenario, simClock, (event) => runChaosEvent(event.type, {
+            position: event.position && new THREE.Vector3(event.position.x, event.position.y, event.position.z),
+            intensity: event.intensity
+        }));
+        scenarioRunner.start();
+        console.log(`Scenario "${scenario.name}" started (${scenario.events.length} events, ${scenario.mode})`);
+    }
+    if (!scenario || scenario.mode === 'alongside') {
+        director = new ChaosDirector({
+            registry: chaosRegistry,
+            clock: simClock,
+            rng: rng.chaos,
+            config: CONFIG.director,
+            fire: (id) => runChaosEvent(id),
+            getStress: () => directorFocus.alertLevel
+        });
+        director.start();
+    }
     
-    // 8. UI Updates
-    setInterval(updateTimestamp, 100);
+    // 7b. RECORDING - the composited canvas plus the game mix
+    if (Recorder.supported) {
+        recorder = new Recorder(renderer.domElement, { ...CONFIG.recording, audioStream: audio.captureStream() });
+    } else {
+        console.warn('Recording not supported in this browser');
+    }
     
-    // 9. Start render loop
+    // 8. Start render loop
     animate();
     
     // Hide loading
     document.getElementById('loading').style.display = 'none';
 }
 
+// URL ?seed= wins over the scenario's seed, which wins over CONFIG.seed;
+// numeric strings become numbers so "42" and 42 match
+function resolveSeed(scenarioSeed = null) {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    if (param) return /^\d+$/.test(param) ? Number(param) : param;
+    if (scenarioSeed !== null && scenarioSeed !== undefined) return scenarioSeed;
+    if (CONFIG.seed !== null && CONFIG.seed !== undefined) return CONFIG.seed;
+    return randomSeed();
+}
+
+function seedRandomStreams(seed) {
+    runSeed = seed;
+    const masterRng = new SeededRandom(seed);
+    rng.env = masterRng.fork('environment');
+    rng.chaos = masterRng.fork('chaos');
+    rng.ai = masterRng.fork('ai');
+}
+
+// --- SCENARIO LOADING ---
+// URL ?scenario= wins over CONFIG.scenario. A broken scenario is reported and
+// the run falls back to random chaos rather than failing to start.
+async function loadScenarioFromConfig() {
+    const url = new URLSearchParams(window.location.search).get('scenario') || CONFIG.scenario;
+    if (!url) return null;
+    
+    try {
+        const loaded = await loadScenario(url, chaosRegistry.ids());
+        console.log(`Loaded scenario: ${loaded.name}`);
+        return loaded;
+    } catch (e) {
+        console.error(`Scenario failed to load, using random chaos: ${e.message}`);
+        return null;
+    }
+}
+
+// Starting state from the scenario's "npc" block
+function applyScenarioNPCState(state) {
+    if (state.status) {
+        if (NPC_STATES.includes(state.status)) npc.status = state.status;
+        else console.warn(`Scenario NPC status "${state.status}" unknown (known: ${NPC_STATES.join(', ')})`);
+    }
+    if (state.alertLevel !== undefined) npc.alertLevel = THREE.MathUtils.clamp(state.alertLevel, 0, 1);
+    if (state.panicTimer !== undefined) npc.panicTimer = state.panicTimer;
+    if (state.crouch !== undefined) npc.crouchAmount = THREE.MathUtils.clamp(state.crouch, 0, 1);
+    // Degrees, for readability in JSON
+    if (state.facing !== undefined) npc.yaw = THREE.MathUtils.degToRad(state.facing);
+    if (state.dangerPosition) npc.lastDangerPos.copy(state.dangerPosition);
+    if (state.personality) npc.personality = Personality.create(state.personality, npc.rng.fork('personality'));
+    // Timed states start fresh (HELPING needs someone down, so it's IDLE to begin with)
+    if (npc.status === 'INVESTIGATING') npc.startInvestigating(npc.lastDangerPos);
+    else if (npc.status === 'FROZEN') npc.freeze(npc.panicTimer || 8);
+    else if (npc.status === 'PHONE') npc.startCall();
+    else if (npc.status === 'HELPING') npc.status = 'IDLE';
+    npc.statusLabel = npc.status;
+}
+
+// --- EVENT LOG & REPLAY ---
+// A log to play back: one handed over by playReplay() (in sessionStorage, to
+// survive the reload), or ?replay=path in the URL. A broken one is reported
+// and the run starts fresh.
+async function loadReplay() {
+    const stored = sessionStorage.getItem(REPLAY_STORAGE_KEY);
+    sessionStorage.removeItem(REPLAY_STORAGE_KEY);
+    const url = new URLSearchParams(window.location.search).get('replay');
+    if (!stored && !url) return null;
+    
+    try {
+        let log;
+        if (stored) {
+            log = JSON.parse(stored);
+        } else {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Could not load replay ${url} (${response.status})`);
+            log = await response.json();
+        }
+        const loaded = new Replay(log, stored ? 'dropped replay' : url);
+        console.log(`Replaying ${loaded.ticks} ticks (${loaded.inputs.length} inputs)`);
+        return loaded;
+    } catch (e) {
+        console.error(`Replay failed to load, starting a new run: ${e.message}`);
+        return null;
+    }
+}
+
+// Play a downloaded log back - the page reloads into it, since a replay has
+// to start from scratch
+function playReplay(log) {
+    try {
+        new Replay(log);
+    } catch (e) {
+        console.error(e.message);
+        return;
+    }
+    try {
+        sessionStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(log));
+    } catch (e) {
+        // Too big to store - the events are only for checking, the inputs are what count
+        try {
+            sessionStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify({ ...log, events: null }));
+        } catch (err) {
+            console.error(`Log too large to replay (${log.inputs.length} inputs don't fit in session storage) - load it with ?replay=<url> instead`);
+            return;
+        }
+    }
+    window.location.reload();
+}
+
+function downloadEventLog() {
+    if (eventLog) eventLog.download(`bodycam_log_${runSeed}_${simClock.frame}.json`);
+}
+
+function simulationSettings() {
+    return Object.fromEntries(SIMULATION_CONFIG.map(key => [key, CONFIG[key]]));
+}
+
+// Recorded inputs due before this tick
+function applyReplayInputs() {
+    if (!replay) return;
+    for (const input of replay.due(simClock.frame)) {
+        if (input.type === 'chaos') {
+            const { tick, type, id, position, at, ...opts } = input;
+            const landed = runChaosEvent(id, { ...opts, position: position && new THREE.Vector3().fromArray(position) });
+            eventLog.checkPosition(input, landed);
+        } else if (input.type === 'focus') {
+            directorFocus = crowd[input.index] ?? directorFocus;
+        }
+    }
+}
+
+// Pauses on the last recorded tick, so the end can be looked at (or stepped past)
+function replayEnded() {
+    if (!replay || timeControl.paused || simClock.frame !== replay.ticks) return false;
+    pauseSimulation();
+    console.log('Replay: end of the recording');
+    eventLog.verify(`watched from ${camLabel(npc)}`);
+    return true;
+}
+
+// Chaos from outside the simulation (console, tooling) - logged as an input
+// so a replay repeats it. Off during a replay, which already has its own.
+function triggerChaos(type, opts = {}) {
+    if (replay) {
+        console.warn('Replaying a log - manual chaos is off');
+        return;
+    }
+    // Logged with where it actually happened (at) as well as what was asked for -
+    // the replay re-runs the request and checks it lands in the same place
+    const { position, ...rest } = opts;
+    const input = { id: type, ...rest, position };
+    const at = runChaosEvent(type, opts);
+    eventLog.input('chaos', { ...input, at });
+}
+
 // --- ASSET PRELOADING ---
-// Attempts to load all models in background - uses procedural fallbacks if not found
+// Sounds stream in the background; models are loaded by preloadModels() during init
 function preloadSounds() {
     // Preload sounds (non-blocking)
     const soundKeys = Object.keys(ASSETS.sounds);
-    for (const key of soundKeys) {
-        loadSound(key);
-    }
+    const loads = soundKeys.map(key => loadSound(key));
     console.log('Sound preload initiated');
-}
 
-// --- NPC CREATION ---
-function createNPC(spawnPoint = new THREE.Vector3(0, 1, 0)) {
-    const sphereShape = new CANNON.Sphere(0.35);
-    npc.body = new CANNON.Body({ 
-        mass: 70, 
-        shape: sphereShape,
-        angularDamping: 0.99,
-        linearDamping: 0.4
+    // Background beds run for the whole session, in the head rather than placed
+    Promise.all(loads).then(() => {
+        playSound('cityAmbience', { volume: 0.35, loop: true });
+        playSound('wind', { volume: 0.15, loop: true });
     });
-    npc.body.position.set(spawnPoint.x, spawnPoint.y + 0.5, spawnPoint.z);
-    world.addBody(npc.body);
-    
-    console.log(`NPC spawned at: ${spawnPoint.x.toFixed(1)}, ${spawnPoint.y.toFixed(1)}, ${spawnPoint.z.toFixed(1)}`);
-    
-    // Visual representation (invisible but useful for debugging)
-    if (CONFIG.showDebug) {
-        const geo = new THREE.SphereGeometry(0.35);
-        const mat = new THREE.MeshBasicMaterial({ color: 0x00ff00, wireframe: true });
-        npc.mesh = new THREE.Mesh(geo, mat);
-        scene.add(npc.mesh);
+}
+
+// --- CROWD ---
+// The bodycam wearer at the spawn point, everyone else spread around them
+function spawnCrowd() {
+    npc = new NPC(0, environmentData.spawnPoint, camera);
+    crowd = [npc];
+    crowdSpawnPoints(CONFIG.crowd.size - 1).forEach((point, i) => crowd.push(new NPC(i + 1, point)));
+    console.log(`Crowd: ${crowd.length} civilians`);
+}
+
+// Where the rest of the crowd starts: the other spawn_* points, then random
+// spots on the sidewalks (procedural street) or anywhere on the navmesh
+function crowdSpawnPoints(count) {
+    const placeRng = rng.env.fork('crowd');
+    const points = environmentData.spawnPoints.slice(1, count + 1);
+    const { streetLength, streetWidth, sidewalkWidth } = CONFIG.proceduralSettings;
+    
+    for (let tries = 0; points.length < count && tries < count * 10; tries++) {
+        let point;
+        if (environmentData.loaded) {
+            point = navMesh.randomPoint(placeRng);
+        } else {
+            point = new THREE.Vector3(
+                placeRng.sign() * (streetWidth / 2 + sidewalkWidth / 2) + placeRng.spread(sidewalkWidth * 0.6),
+                0.15,
+                placeRng.spread(streetLength * 0.8)
+            );
+            // Step off anything carved out of the sidewalk (bins, benches)
+            const poly = navMesh.findPoly(point);
+            if (poly !== -1) point = navMesh.clampToPoly(poly, point);
+        }
+        if (!point) break;
+        
+        // Not on top of anyone else
+        const crowded = [environmentData.spawnPoint, ...points].some(p => p.distanceTo(point) < 1.5);
+        if (!crowded) points.push(point);
     }
+    return points;
 }
 
 // --- PROCEDURAL STREET ENVIRONMENT ---
 function buildStreetEnvironment() {
-    const streetLen = CONFIG.streetLength;
-    const streetW = CONFIG.streetWidth;
-    const sidewalkW = CONFIG.sidewalkWidth;
+    const streetLen = CONFIG.proceduralSettings.streetLength;
+    const streetW = CONFIG.proceduralSettings.streetWidth;
+    const sidewalkW = CONFIG.proceduralSettings.sidewalkWidth;
+    const buildingCount = CONFIG.proceduralSettings.buildingCount;
     
     // MATERIALS - brighter for visibility
     const asphaltMat = new THREE.MeshStandardMaterial({ 
@@ -527,32 +1106,43 @@ function buildStreetEnvironment() {
     ];
 
     // ROAD
-    const roadGeo = new THREE.PlaneGeometry(streetW, streetLen);
-    const road = new THREE.Mesh(roadGeo, asphaltMat);
-    road.rotation.x = -Math.PI / 2;
-    road.receiveShadow = true;
-    road.name = 'walkable_road';
-    scene.add(road);
-    
-    // Road markings
-    const lineGeo = new THREE.PlaneGeometry(0.15, streetLen);
-    const lineMat = new THREE.MeshStandardMaterial({ color: 0xffff00, emissive: 0x333300 });
-    const centerLine = new THREE.Mesh(lineGeo, lineMat);
-    centerLine.rotation.x = -Math.PI / 2;
-    centerLine.position.y = 0.01;
-    scene.add(centerLine);
+    const roadModel = placeModel('road', 0, 0, 0, new THREE.Vector3(streetW, 0, streetLen));
+    if (roadModel) {
+        roadModel.name = 'walkable_road';
+    } else {
+        const roadGeo = new THREE.PlaneGeometry(streetW, streetLen);
+        const road = new THREE.Mesh(roadGeo, asphaltMat);
+        road.rotation.x = -Math.PI / 2;
+        road.receiveShadow = true;
+        road.name = 'walkable_road';
+        scene.add(road);
+        
+        // Road markings
+        const lineGeo = new THREE.PlaneGeometry(0.15, streetLen);
+        const lineMat = new THREE.MeshStandardMaterial({ color: 0xffff00, emissive: 0x333300 });
+        const centerLine = new THREE.Mesh(lineGeo, lineMat);
+        centerLine.rotation.x = -Math.PI / 2;
+        centerLine.position.y = 0.01;
+        scene.add(centerLine);
+    }
 
     // SIDEWALKS (Both sides)
     [-1, 1].forEach(side => {
-        const sidewalk = new THREE.Mesh(
-            new THREE.BoxGeometry(sidewalkW, 0.15, streetLen),
-            sidewalkMat
-        );
-        sidewalk.position.set(side * (streetW / 2 + sidewalkW / 2), 0.075, 0);
-        sidewalk.receiveShadow = true;
-        sidewalk.castShadow = true;
-        sidewalk.name = 'walkable_sidewalk';
-        scene.add(sidewalk);
+        const sidewalkX = side * (streetW / 2 + sidewalkW / 2);
+        const sidewalkModel = placeModel('sidewalk', sidewalkX, 0, 0, new THREE.Vector3(sidewalkW, 0.15, streetLen));
+        if (sidewalkModel) {
+            sidewalkModel.name = 'walkable_sidewalk';
+        } else {
+            const sidewalk = new THREE.Mesh(
+                new THREE.BoxGeometry(sidewalkW, 0.15, streetLen),
+                sidewalkMat
+            );
+            sidewalk.position.set(sidewalkX, 0.075, 0);
+            sidewalk.receiveShadow = true;
+            sidewalk.castShadow = true;
+            sidewalk.name = 'walkable_sidewalk';
+            scene.add(sidewalk);
+        }
         
         // Physics for sidewalk
         const swShape = new CANNON.Box(new CANNON.Vec3(sidewalkW / 2, 0.075, streetLen / 2));
@@ -563,43 +1153,61 @@ function buildStreetEnvironment() {
 
     // BUILDINGS
     const buildingPositions = [];
-    for (let i = 0; i < CONFIG.buildingCount; i++) {
+    for (let i = 0; i < buildingCount; i++) {
         const side = i % 2 === 0 ? -1 : 1;
-        const z = (i - CONFIG.buildingCount / 2) * (streetLen / CONFIG.buildingCount) + 5;
-        
-        const width = 6 + Math.random() * 4;
-        const depth = 8 + Math.random() * 6;
-        const height = 8 + Math.random() * 20;
+        const z = (i - buildingCount / 2) * (streetLen / buildingCount) + 5;
         
-        const mat = buildingMats[Math.floor(Math.random() * buildingMats.length)];
-        const building = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), mat);
+        const width = rng.env.range(6, 10);
+        const depth = rng.env.range(8, 14);
+        const height = rng.env.range(8, 28);
         
+        const mat = rng.env.pick(buildingMats);
         const x = side * (streetW / 2 + sidewalkW + depth / 2 + 1);
-        building.position.set(x, height / 2, z);
-        building.castShadow = true;
-        building.receiveShadow = true;
-        scene.add(building);
         
         // Building physics
         const bShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
         const bBody = new CANNON.Body({ mass: 0, shape: bShape });
-        bBody.position.copy(building.position);
+        bBody.position.set(x, height / 2, z);
         world.addBody(bBody);
         
         buildingPositions.push({ x, z, side });
         
+        // Cover spots near buildings
+        coverSpots.push(new THREE.Vector3(
+            side * (streetW / 2 + sidewalkW / 2),
+            0.2,
+            z
+        ));
+        
+        // GLB building (tall/medium/short by generated height), stretched to the generated size
+        const modelKey = height > 20 ? 'buildingTall' : (height > 13 ? 'buildingMedium' : 'buildingShort');
+        const buildingModel = placeModel(modelKey, x, 0, z, new THREE.Vector3(width, height, depth));
+        if (buildingModel) {
+            buildingModel.name = `building_${i}`;
+            continue;
+        }
+        
+        const building = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), mat);
+        building.position.set(x, height / 2, z);
+        building.castShadow = true;
+        building.receiveShadow = true;
+        building.name = `building_${i}`;
+        scene.add(building);
+        
         // WINDOWS (emissive rectangles)
+        // Own stream per building, so the layout doesn't change depending on which models are installed
+        const windowRng = rng.env.fork(`windows_${i}`);
         const windowRows = Math.floor(height / 3);
         const windowCols = Math.floor(width / 2);
         for (let row = 0; row < windowRows; row++) {
             for (let col = 0; col < windowCols; col++) {
-                if (Math.random() > 0.3) { // More windows lit
+                if (windowRng.next() > 0.3) { // More windows lit
                     const winGeo = new THREE.PlaneGeometry(1.2, 1.8);
-                    const litColor = Math.random() > 0.7 ? 0xfff5e0 : 0xe8f4ff;
+                    const litColor = windowRng.next() > 0.7 ? 0xfff5e0 : 0xe8f4ff;
                     const winMat = new THREE.MeshBasicMaterial({ 
                         color: litColor,
                         transparent: true,
-                        opacity: 0.5 + Math.random() * 0.4
+                        opacity: windowRng.range(0.5, 0.9)
                     });
                     const win = new THREE.Mesh(winGeo, winMat);
                     
@@ -613,13 +1221,6 @@ function buildStreetEnvironment() {
                 }
             }
         }
-        
-        // Cover spots near buildings
-        coverSpots.push(new THREE.Vector3(
-            side * (streetW / 2 + sidewalkW / 2),
-            0.2,
-            z
-        ));
     }
 
     // STREET PROPS
@@ -642,9 +1243,9 @@ function addStreetProps(streetLen, streetW, sidewalkW) {
     
     // Trash cans
     for (let i = 0; i < 6; i++) {
-        const side = Math.random() > 0.5 ? -1 : 1;
-        const x = side * (streetW / 2 + sidewalkW / 2 + (Math.random() - 0.5) * 2);
-        const z = (Math.random() - 0.5) * streetLen * 0.8;
+        const side = rng.env.sign();
+        const x = side * (streetW / 2 + sidewalkW / 2 + rng.env.spread(2));
+        const z = rng.env.spread(streetLen * 0.8);
         createTrashCan(x, z);
     }
     
@@ -658,19 +1259,22 @@ function addStreetProps(streetLen, streetW, sidewalkW) {
 }
 
 function createLampPost(x, z) {
-    const postGeo = new THREE.CylinderGeometry(0.08, 0.1, 5, 8);
-    const postMat = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.8 });
-    const post = new THREE.Mesh(postGeo, postMat);
-    post.position.set(x, 2.5, z);
-    post.castShadow = true;
-    scene.add(post);
-    
-    // Lamp head
-    const headGeo = new THREE.BoxGeometry(0.6, 0.3, 0.4);
-    const headMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-    const head = new THREE.Mesh(headGeo, headMat);
-    head.position.set(x, 5.1, z);
-    scene.add(head);
+    // Post + head (GLB if available). The light itself is always procedural.
+    if (!placeModel('streetLight', x, 0, z)) {
+        const postGeo = new THREE.CylinderGeometry(0.08, 0.1, 5, 8);
+        const postMat = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.8 });
+        const post = new THREE.Mesh(postGeo, postMat);
+        post.position.set(x, 2.5, z);
+        post.castShadow = true;
+        scene.add(post);
+        
+        // Lamp head
+        const headGeo = new THREE.BoxGeometry(0.6, 0.3, 0.4);
+        const headMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
+        const head = new THREE.Mesh(headGeo, headMat);
+        head.position.set(x, 5.1, z);
+        scene.add(head);
+    }
     
     // Light - brighter streetlights
     const light = new THREE.PointLight(0xffeedd, 60, 30);
@@ -698,6 +1302,7 @@ function createTrashCan(x, z) {
     const can = new THREE.Mesh(canGeo, canMat);
     can.position.set(x, 0.4, z);
     can.castShadow = true;
+    can.userData.navObstacle = true;
     scene.add(can);
     
     // Physics
@@ -708,10 +1313,25 @@ function createTrashCan(x, z) {
 }
 
 function createParkedCar(x, z, side) {
-    const bodyGeo = new THREE.BoxGeometry(2, 1.2, 4.5);
+    // Physics
+    const carShape = new CANNON.Box(new CANNON.Vec3(1, 0.8, 2.25));
+    const carPhys = new CANNON.Body({ mass: 0, shape: carShape });
+    carPhys.position.set(x, 0.9, z);
+    world.addBody(carPhys);
+    
+    // Pick the color even when a model is used, so the seed gives the same street either way
     const carColors = [0x1a1a2e, 0x2e1a1a, 0x1a2e1a, 0x2a2a2a, 0x0a0a1a];
+    const color = rng.env.pick(carColors);
+    
+    const carModel = placeModel('carParked', x, 0, z, null, side > 0 ? Math.PI : 0);
+    if (carModel) {
+        carModel.name = `vehicle_parked_${carModel.id}`;
+        return;
+    }
+    
+    const bodyGeo = new THREE.BoxGeometry(2, 1.2, 4.5);
     const bodyMat = new THREE.MeshStandardMaterial({ 
-        color: carColors[Math.floor(Math.random() * carColors.length)],
+        color,
         metalness: 0.7,
         roughness: 0.3
     });
@@ -719,6 +1339,7 @@ function createParkedCar(x, z, side) {
     const carBody = new THREE.Mesh(bodyGeo, bodyMat);
     carBody.position.set(x, 0.7, z);
     carBody.castShadow = true;
+    carBody.name = `vehicle_parked_${carBody.id}`;
     scene.add(carBody);
     
     // Roof
@@ -746,15 +1367,14 @@ function createParkedCar(x, z, side) {
         headlight.position.set(x + offset, 0.6, z + 2.26);
         scene.add(headlight);
     });
-    
-    // Physics
-    const carShape = new CANNON.Box(new CANNON.Vec3(1, 0.8, 2.25));
-    const carPhys = new CANNON.Body({ mass: 0, shape: carShape });
-    carPhys.position.set(x, 0.9, z);
-    world.addBody(carPhys);
 }
 
 function createBusStop(x, z) {
+    // This is a prime cover spot
+    coverSpots.push(new THREE.Vector3(x, 0.2, z));
+    
+    if (placeModel('busStop', x, 0.15, z)) return;
+    
     // Shelter frame
     const frameMat = new THREE.MeshStandardMaterial({ color: 0x444444, metalness: 0.9 });
     
@@ -785,9 +1405,6 @@ function createBusStop(x, z) {
     const sign = new THREE.Mesh(signGeo, signMat);
     sign.position.set(x + 1.5, 2, z);
     scene.add(sign);
-    
-    // This is a prime cover spot
-    coverSpots.push(new THREE.Vector3(x, 0.2, z));
 }
 
 // --- LIGHTING ---
@@ -823,126 +1440,145 @@ function setupLighting() {
     scene.add(heliLight.target);
 }
 
-// --- NAVIGATION GRID ---
-function buildNavigationGrid() {
-    // Generate walkable nodes on sidewalks and road
-    const streetLen = CONFIG.streetLength;
-    const streetW = CONFIG.streetWidth;
-    const sidewalkW = CONFIG.sidewalkWidth;
-    
-    // Sidewalk nodes
-    for (let z = -streetLen / 2 + 2; z < streetLen / 2 - 2; z += 1.5) {
-        [-1, 1].forEach(side => {
-            const x = side * (streetW / 2 + sidewalkW / 2);
-            navNodes.push(new THREE.Vector3(x, 0.2, z));
-            
-                    if (CONFIG.showDebug) {
-                        const dot = new THREE.Mesh(
-                    new THREE.SphereGeometry(0.1),
-                    new THREE.MeshBasicMaterial({ color: 0x00ff00 })
-                        );
-                dot.position.set(x, 0.3, z);
-                        scene.add(dot);
-                    }
-        });
-                }
-    
-    // Road crossing nodes (sparse)
-    for (let z = -streetLen / 2 + 10; z < streetLen / 2 - 10; z += 15) {
-        for (let x = -streetW / 2 + 1; x < streetW / 2; x += 2) {
-            navNodes.push(new THREE.Vector3(x, 0.05, z));
-            }
+// --- PATHFINDING ---
+// Navmesh from whatever walkable_* surfaces are in the scene (GLB or procedural),
+// with solid props carved out. Destination points are sampled from it.
+function buildNavMesh() {
+    const surfaces = [];
+    const obstacles = [];
+    scene.traverse(child => {
+        const name = child.name.toLowerCase();
+        if (name.startsWith('walkable')) {
+            surfaces.push(child);
+        } else if (name.startsWith('collider') || name.startsWith('vehicle') ||
+                   name.startsWith('building') || child.userData.navObstacle) {
+            obstacles.push(child);
         }
+    });
     
-    console.log(`Navigation grid built: ${navNodes.length} nodes, ${coverSpots.length} cover spots`);
+    const nav = CONFIG.navigation;
+    navMesh = new NavMesh({
+        agentRadius: nav.agentRadius,
+        agentHeight: nav.agentHeight,
+        maxStep: nav.maxStep,
+        cellSize: nav.cellSize,
+        maxPolySize: nav.maxPolySize
+    }).build(surfaces, obstacles);
+    navNodes = navMesh.samplePoints(nav.nodeSpacing);
+    
+    if (navMesh.polys.length === 0) {
+        console.warn('Navmesh is empty - no walkable_* surfaces found');
+    }
+    console.log(`Navmesh built: ${navMesh.polys.length} polygons, ${navMesh.islandCount} islands ` +
+        `(${surfaces.length} surfaces, ${obstacles.length} obstacles), ${navNodes.length} nodes`);
+    
+    if (CONFIG.showDebug) scene.add(navMesh.createDebugLines());
 }
 
-// --- AI LOGIC ---
-function getSafeNode(dangerPos, npcPos) {
-    // ALWAYS prioritize cover spots when panicking
-    const safeCover = coverSpots.filter(spot => spot.distanceTo(dangerPos) > 8);
-    
-    if (safeCover.length > 0) {
-        // Find the closest safe cover spot to the NPC
-        let bestCover = safeCover[0];
-        let bestScore = Infinity;
-        
-        for (const spot of safeCover) {
-            // Score = distance to NPC (lower is better) - distance from danger (higher is better)
-            const distToNpc = npcPos ? spot.distanceTo(npcPos) : 0;
-            const distFromDanger = spot.distanceTo(dangerPos);
-            const score = distToNpc - distFromDanger * 0.5; // Prioritize being far from danger
-            
-            if (score < bestScore) {
-                bestScore = score;
-                bestCover = spot;
-            }
-        }
-        return bestCover;
+// --- DYNAMIC OBSTACLES ---
+// Debris that has come to rest blocks the navmesh under it, until it moves
+// again or is removed at the end of its lifetime
+const navObstacles = new Map(); // body -> { polys, position }
+
+function updateNavObstacles() {
+    if (!navMesh) return;
+    let changed = false;
+    
+    for (const [body, obstacle] of navObstacles) {
+        if (body.world && body.position.distanceTo(obstacle.position) < 0.5) continue;
+        navMesh.unblock(obstacle.polys);
+        navObstacles.delete(body);
+        changed = true;
     }
     
-    // Fallback: find distant nav node
-    const safeNodes = navNodes.filter(node => node.distanceTo(dangerPos) > 12);
-    
-    if (safeNodes.length === 0) {
-        let furthest = navNodes[0];
-        let maxDist = 0;
-        for (const n of navNodes) {
-            const d = n.distanceTo(dangerPos);
-            if (d > maxDist) { maxDist = d; furthest = n; }
-        }
-        return furthest;
-    }
-
-    // Pick closest safe node to NPC
-    if (npcPos) {
-        let closest = safeNodes[0];
-        let minDist = Infinity;
-        for (const n of safeNodes) {
-            const d = n.distanceTo(npcPos);
-            if (d < minDist) { minDist = d; closest = n; }
-        }
-        return closest;
+    const restSpeedSq = CONFIG.navigation.restSpeed ** 2;
+    for (const body of physicsBodies) {
+        if (!body || !body.world || navObstacles.has(body)) continue;
+        const resting = body.sleepState === CANNON.Body.SLEEPING ||
+            (body.velocity.lengthSquared() < restSpeedSq && body.angularVelocity.lengthSquared() < 1);
+        if (!resting) continue;
+        
+        body.updateAABB();
+        const box = new THREE.Box3(
+            new THREE.Vector3().copy(body.aabb.lowerBound),
+            new THREE.Vector3().copy(body.aabb.upperBound)
+        );
+        const polys = navMesh.block(box);
+        navObstacles.set(body, { polys, position: body.position.clone() });
+        if (polys.length > 0) changed = true;
     }
     
-    return safeNodes[Math.floor(Math.random() * safeNodes.length)];
+    // Replan - around new wreckage, or through where it used to be
+    if (changed) crowd.forEach(civilian => civilian.path = null);
 }
 
-function getFarSafeNode(dangerPos, npcPos) {
-    // Prefer the spot that maximizes distance from danger, with a small bias toward not being absurdly far from the NPC.
-    // This is meant for "post-hide fleeing" when the immediate danger has passed.
-    const candidates = [];
+simClock.every(CONFIG.navigation.obstacleCheckInterval, updateNavObstacles);
 
-    for (const spot of coverSpots) {
-        if (spot.distanceTo(dangerPos) > 8) candidates.push(spot);
-    }
-    for (const node of navNodes) {
-        if (node.distanceTo(dangerPos) > 12) candidates.push(node);
-    }
+// Destinations under resting debris are skipped
+function isNodeBlocked(node) {
+    return navMesh ? navMesh.isBlocked(node) : false;
+}
 
-    if (candidates.length === 0) {
-        // Worst-case fallback: pick the furthest nav node from danger
-        let furthest = navNodes[0];
-        let maxDist = -Infinity;
-        for (const n of navNodes) {
-            const d = n.distanceTo(dangerPos);
-            if (d > maxDist) { maxDist = d; furthest = n; }
+// Nudge a civilian's path direction around loose bodies and other people: veer
+// away from anything in the way ahead, and keep some distance from anything
+// close. Returns a flat unit vector.
+function steer(self, pos, desired) {
+    const s = CONFIG.steering;
+    const dir = new THREE.Vector3(desired.x, 0, desired.z);
+    if (dir.lengthSq() < 1e-6) return dir;
+    dir.normalize();
+    
+    const result = dir.clone();
+    const others = crowd.filter(civilian => civilian !== self).map(civilian => civilian.body);
+    for (const body of [...physicsBodies, ...others]) {
+        if (!body || !body.world) continue;
+        if (body.position.y - body.boundingRadius > pos.y + 1.5) continue; // Still in the air above us
+        
+        const dx = body.position.x - pos.x;
+        const dz = body.position.z - pos.z;
+        const radius = body.boundingRadius + CONFIG.navigation.agentRadius;
+        
+        // Avoidance: in our lane, within lookahead - veer to the side it's not on
+        const ahead = dx * dir.x + dz * dir.z;
+        const side = dz * dir.x - dx * dir.z; // > 0: to our left
+        const range = s.lookahead + radius;
+        if (ahead > 0 && ahead < range && Math.abs(side) < radius) {
+            const push = (1 - ahead / range) * s.avoidWeight * (side > 0 ? -1 : 1);
+            result.x += -dir.z * push;
+            result.z += dir.x * push;
         }
-        return furthest;
-    }
-
-    let best = candidates[0];
-    let bestScore = -Infinity;
-    for (const c of candidates) {
-        const distFromDanger = c.distanceTo(dangerPos);
-        const distToNpc = npcPos ? c.distanceTo(npcPos) : 0;
-        const score = distFromDanger - distToNpc * 0.15;
-        if (score > bestScore) {
-            bestScore = score;
-            best = c;
+        
+        // Separation: straight away from anything too close
+        const dist = Math.hypot(dx, dz);
+        const reach = radius + s.separationRadius;
+        if (dist > 1e-3 && dist < reach) {
+            const push = (1 - dist / reach) * s.separationWeight;
+            result.x -= dx / dist * push;
+            result.z -= dz / dist * push;
         }
     }
-    return best;
+    
+    return result.lengthSq() > 1e-6 ? result.normalize() : dir;
+}
+
+const _losFrom = new CANNON.Vec3();
+const _losTo = new CANNON.Vec3();
+
+// True if no static collider is between a point `height` above a spot and a threat.
+// Hits right at the threat's end (a shooter standing in a window) don't count.
+function hasLineOfSight(spot, height, threatPos) {
+    _losFrom.set(spot.x, spot.y + height, spot.z);
+    _losTo.set(threatPos.x, Math.max(threatPos.y, 1.2), threatPos.z); // Ground threats seen from eye level
+    const length = _losFrom.distanceTo(_losTo);
+    
+    let clear = true;
+    world.raycastAll(_losFrom, _losTo, {}, (result) => {
+        if (result.body.type !== CANNON.Body.STATIC) return;
+        if (result.distance > length - 0.5) return;
+        clear = false;
+        result.abort();
+    });
+    return clear;
 }
 
 function getClosestNode(pos) {
@@ -955,549 +1591,1490 @@ function getClosestNode(pos) {
     return closest;
 }
 
-// Safe camera look function - calculates yaw/pitch without flipping
-function safeLookAt(targetPos, smoothing = 0.1) {
-    const camPos = camera.position;
-    const dx = targetPos.x - camPos.x;
-    const dy = targetPos.y - camPos.y;
-    const dz = targetPos.z - camPos.z;
-    
-    // Calculate target yaw (horizontal angle)
-    const targetYaw = Math.atan2(dx, dz);
-    
-    // Calculate target pitch (vertical angle) - clamped to prevent flip
-    const horizontalDist = Math.sqrt(dx * dx + dz * dz);
-    const targetPitch = Math.atan2(dy, horizontalDist);
-    const clampedPitch = THREE.MathUtils.clamp(targetPitch, -Math.PI / 3, Math.PI / 3);
-    
-    // Smoothly interpolate to target angles
-    npc.yaw = THREE.MathUtils.lerp(npc.yaw, targetYaw, smoothing);
-    npc.pitch = THREE.MathUtils.lerp(npc.pitch, clampedPitch, smoothing);
-}
-
-// Apply the camera rotation from yaw/pitch (call after safeLookAt)
-function applyCameraRotation() {
-    // Reset camera rotation
-    camera.rotation.set(0, 0, 0);
-    camera.rotation.order = 'YXZ'; // Yaw first, then pitch - prevents gimbal lock
-    
-    // Apply yaw (Y) and pitch (X)
-    camera.rotation.y = -npc.yaw;
-    camera.rotation.x = -npc.pitch;
-    
-    // Apply shake as roll only
-    const shakeTime = clock.getElapsedTime();
-    const rollShake = Math.sin(shakeTime * 12) * npc.shake * 0.02 
-                    + Math.sin(shakeTime * 17) * npc.shake * 0.015;
-    camera.rotation.z = rollShake;
-}
-
-function updateNPC(dt) {
-    if (!navNodes.length) return;
-    
-    const pos = new THREE.Vector3(
-        npc.body.position.x, 
-        npc.body.position.y, 
-        npc.body.position.z
-    );
+// --- NPC ---
+// One civilian: physics body, bodycam, state machine and memory.
+// Everyone on the street is in `crowd`; `npc` is the one whose bodycam is on screen.
+class NPC {
+    constructor(id, spawnPoint, bodycam = null) {
+        this.id = id;
+        // Own stream, so adding civilians doesn't change anyone else's decisions
+        this.rng = rng.ai.fork(`npc_${id}`);
+        
+        this.status = 'IDLE';               // IDLE, PANIC, COWERING, LOOKING, CAUTIOUS
+        this.statusLabel = 'IDLE';          // What the HUD shows (adds FLEEING, HIDING)
+        this.targetNode = null;
+        this.shake = 0;
+        this.yaw = 0;                       // Horizontal rotation (left/right)
+        this.pitch = 0;                     // Vertical rotation (up/down) - clamped to prevent flip
+        this.panicTimer = 0;
+        this.lastDangerPos = new THREE.Vector3();
+        this.crouchAmount = 0;              // 0 = standing, 1 = crouched
+        this.coverDirection = new THREE.Vector3(); // Direction to face when hiding
+        this.lastPos = new THREE.Vector3(); // For stuck detection
+        this.stuckTime = 0;                 // How long we've barely moved
+        this.fleeAfterHide = false;         // After hiding, run far away from last danger before idling
+        // Smarter AI additions
+        this.dangerMemory = [];             // Recent dangers [{pos, time, type, severity, source}]
+        this.alertLevel = 0;                // 0-1, how on-edge they are
+        this.lastLookAroundTime = 0;        // For nervous glancing
+        this.recentDangerCount = 0;         // Track how many dangers recently
+        // Pathfinding
+        this.path = null;                   // Waypoints to targetNode (THREE.Vector3[])
+        this.pathIndex = 0;                 // Waypoint currently steered toward
+        this.pathTarget = null;             // targetNode the path was planned for
+        // Cover
+        this.coverThreats = null;           // Danger -> position when the cover was last checked (while COWERING)
+        this.nextCoverCheck = 0;
+        // Bravery, curiosity, fitness, jumpiness - scale the behaviour constants below
+        const profile = CONFIG.crowd.personalities[id] ?? 'random';
+        this.personality = Personality.create(profile, this.rng.fork('personality'), CONFIG.crowd.personalityJitter);
+        // Heart rate, stamina, breathing
+        this.vitals = new Physiology({ ...CONFIG.physiology, fitness: this.personality.fitness });
+        // Injuries
+        this.health = new Health(CONFIG.injury);
+        this.recentHits = new WeakMap();    // Body -> sim time it last hurt us
+        this.downAmount = 0;                // 0 = on their feet, 1 = lying on the ground
+        this.stridePhase = 0;               // For the limp
+        // Crowd
+        this.seenFleeing = new Set();       // Others seen running in panic (each reacted to once)
+        this.nextCrowdCheck = (id * 0.1) % CONFIG.crowd.perceptionInterval; // Staggered
+        // Investigating, phoning, freezing, helping
+        this.stateTimer = 0;                // Seconds left in the current one
+        this.investigateSpot = null;        // Where the disturbance was
+        this.arrived = false;               // Got there (stopped short to look, or kneeling to help)
+        this.panicAfterFreeze = 0;          // Panic duration once the freeze breaks
+        this.patient = null;                // Civilian being helped
+        this.consideredHelping = new WeakSet(); // Injured already decided on (each once)
+        this.callTime = 0;                  // Seconds into the current call
+        this.lastCallTime = -Infinity;
+        // Event log - last status and target written to it
+        this.loggedStatus = this.status;
+        this.loggedTarget = null;
+        
+        // Physics
+        this.body = new CANNON.Body({ 
+            mass: 70, 
+            shape: new CANNON.Sphere(CONFIG.navigation.agentRadius),
+            angularDamping: 0.99,
+            linearDamping: 0.4
+        });
+        this.body.position.set(spawnPoint.x, spawnPoint.y + 0.5, spawnPoint.z);
+        this.body.addEventListener('collide', (e) => this.onCollide(e));
+        world.addBody(this.body);
+        
+        // Bodycam (eye level, moved every tick)
+        this.camera = bodycam || new THREE.PerspectiveCamera(95, window.innerWidth / window.innerHeight, 0.1, 150);
+        if (!bodycam) scene.add(this.camera);
+        this.camera.position.copy(this.body.position);
+        
+        // Figure the other bodycams see
+        this.mesh = createCivilianMesh(id === 0 ? 'npcMain' : 'npcCivilian');
+        this.mesh.position.set(spawnPoint.x, spawnPoint.y, spawnPoint.z);
+        scene.add(this.mesh);
+        
+        // Phone, held up in front of the bodycam during a call
+        this.phone = createPhoneMesh();
+        this.camera.add(this.phone);
+        
+        console.log(`NPC ${id} spawned at: ${spawnPoint.x.toFixed(1)}, ${spawnPoint.y.toFixed(1)}, ${spawnPoint.z.toFixed(1)} (${this.personality.describe()})`);
+    }
     
-    // Sync debug mesh
-    if (npc.mesh) {
-        npc.mesh.position.copy(pos);
+    getState() {
+        return {
+            id: this.id,
+            position: new THREE.Vector3().copy(this.body.position),
+            status: this.status,
+            alertLevel: this.alertLevel,
+            personality: { ...this.personality },
+            vitals: this.vitals.getState(),
+            health: this.health.getState()
+        };
     }
+    
+    update(dt) {
+        if (!navNodes.length) return;
+        
+        const pos = new THREE.Vector3(
+            this.body.position.x, 
+            this.body.position.y, 
+            this.body.position.z
+        );
+        
+        // Figure follows the body (feet on the ground, facing where we look, lower when crouched)
+        this.mesh.position.set(pos.x, pos.y - CONFIG.navigation.agentRadius, pos.z);
+        this.mesh.rotation.y = this.yaw;
+        this.mesh.rotation.x = -this.downAmount * Math.PI / 2;
+        this.mesh.scale.y = 1 - this.crouchAmount * 0.35;
 
-    // Track movement to detect when we are stuck in place
-    const moved = pos.distanceTo(npc.lastPos);
-    if (moved < 0.02) {
-        npc.stuckTime += dt;
-    } else {
-        npc.stuckTime = 0;
-        npc.lastPos.copy(pos);
-    }
-    
-    // Camera position (eye level - lower when crouching)
-    camera.position.copy(pos);
-    const standingHeight = 0.5;
-    const crouchingHeight = -0.1; // Much lower when crouched
-    camera.position.y += THREE.MathUtils.lerp(standingHeight, crouchingHeight, npc.crouchAmount);
-    
-    // Update panic timer
-    if (npc.status === 'PANIC' || npc.status === 'COWERING') {
-        npc.panicTimer -= dt;
-        if (npc.panicTimer <= 0) {
-            if (npc.status === 'COWERING') {
-                // Danger "over": stop hiding and flee away from where it happened.
-                npc.status = 'PANIC';
-                npc.fleeAfterHide = true;
-                npc.panicTimer = 5 + Math.random() * 5;
-                npc.targetNode = null;
-            } else {
-                npc.status = 'IDLE';
-                npc.fleeAfterHide = false;
-                npc.targetNode = null;
+        // Track movement to detect when we are stuck in place
+        const moved = pos.distanceTo(this.lastPos);
+        if (moved < 0.02) {
+            this.stuckTime += dt;
+        } else {
+            this.stuckTime = 0;
+            this.lastPos.copy(pos);
+        }
+        
+        // Vitals - running is exertion, alertness and pain are fear
+        const groundSpeed = Math.hypot(this.body.velocity.x, this.body.velocity.z);
+        this.vitals.update(dt, groundSpeed / CONFIG.physiology.sprintSpeed, Math.max(this.alertLevel, this.health.pain));
+        this.health.update(dt);
+        
+        // Camera position (eye level - lower when crouching, rising and falling with each breath)
+        this.camera.position.copy(pos);
+        const standingHeight = 0.5;
+        const crouchingHeight = -0.1; // Much lower when crouched
+        const lyingHeight = -0.15;    // Lying on the ground
+        const eyeHeight = THREE.MathUtils.lerp(standingHeight, crouchingHeight, this.crouchAmount);
+        this.camera.position.y += THREE.MathUtils.lerp(eyeHeight, lyingHeight, this.downAmount);
+        this.camera.position.y += Math.sin(this.vitals.breathPhase) * 0.03 * this.vitals.breathDepth;
+        
+        // Limp - dip on every other step
+        this.stridePhase += groundSpeed * dt * 1.2;
+        this.camera.position.y -= this.health.limp * 0.12 * Math.max(0, Math.sin(this.stridePhase));
+        
+        // Moving threats (a tumbling car, the searchlight) drag their danger along
+        for (const danger of this.dangerMemory) {
+            if (danger.source) danger.pos.copy(danger.source.position);
+        }
+        if (this.status !== 'COWERING') this.coverThreats = null;
+        
+        // Update panic timer
+        if (this.status === 'PANIC' || this.status === 'COWERING') {
+            this.panicTimer -= dt;
+            if (this.panicTimer <= 0) {
+                if (this.status === 'COWERING') {
+                    // Danger "over": stop hiding and flee away from where it happened.
+                    this.status = 'PANIC';
+                    this.fleeAfterHide = true;
+                    this.panicTimer = this.rng.range(5, 10);
+                    this.targetNode = null;
+                } else {
+                    this.calmDown();
+                }
             }
         }
+        
+        // Hurt badly enough to go down (or knocked off their feet)
+        if (this.health.isDown && this.status !== 'DOWN') this.goDown();
+        
+        // Others running in panic can set us off too
+        if (simClock.time >= this.nextCrowdCheck) {
+            this.nextCrowdCheck = simClock.time + CONFIG.crowd.perceptionInterval;
+            this.watchCrowd();
+            this.considerOptions();
+        }
+        this.phone.visible = this.status === 'PHONE';
+        
+        // BEHAVIOR STATE MACHINE (each state calls safeLookAt)
+        // A stumble takes over whatever they were doing for a moment
+        if (this.health.isStumbling && this.status !== 'DOWN') {
+            this.handleStumble(pos, dt);
+            this.applyCameraRotation();
+            return;
+        }
+        if (this.status !== 'DOWN') this.downAmount = THREE.MathUtils.lerp(this.downAmount, 0, dt * 2);
+        
+        switch (this.status) {
+            case 'DOWN':
+                this.handleDownState(pos, dt);
+                break;
+                
+            case 'PANIC':
+                this.handlePanicState(pos, dt);
+                break;
+                
+            case 'COWERING':
+                this.handleCoweringState(pos, dt);
+                break;
+                
+            case 'LOOKING':
+                this.handleLookingState(pos, dt);
+                break;
+                
+            case 'FROZEN':
+                this.handleFrozenState(pos, dt);
+                break;
+                
+            case 'INVESTIGATING':
+                this.handleInvestigatingState(pos, dt);
+                break;
+                
+            case 'PHONE':
+                this.handlePhoneState(pos, dt);
+                break;
+                
+            case 'HELPING':
+                this.handleHelpingState(pos, dt);
+                break;
+                
+            default:
+                this.handleIdleState(pos, dt);
+        }
+        
+        // Apply the safe camera rotation (never flips!)
+        this.applyCameraRotation();
     }
-    
-    // BEHAVIOR STATE MACHINE (each state calls safeLookAt)
-    switch (npc.status) {
-        case 'PANIC':
-            handlePanicState(pos, dt);
-            break;
+
+    handlePanicState(pos, dt) {
+        // Update UI
+        this.statusLabel = this.fleeAfterHide ? 'FLEEING' : 'PANIC';
+
+        // Make sure physics wakes up when panicking
+        this.body.wakeUp();
+        
+        // Keep alert level maxed while panicking
+        this.alertLevel = 1;
+        
+        // Find safe spot away from danger (considering all remembered dangers)
+            if (!this.targetNode) {
+            // Find the most threatening danger position (closest or most recent)
+            const primaryDanger = this.closestDanger(pos);
             
-        case 'COWERING':
-            handleCoweringState(pos, dt);
-            break;
+            this.targetNode = this.fleeAfterHide
+                ? this.getFarSafeNode(primaryDanger, pos)
+                : this.getSafeNode(primaryDanger, pos);
             
-        case 'LOOKING':
-            handleLookingState(pos, dt);
-            break;
+            // Calculate direction to face when hiding (away from danger)
+            if (this.targetNode) {
+                this.coverDirection.subVectors(this.targetNode, primaryDanger).normalize();
+            }
+        }
+
+        // If we've been stuck for a bit, pick a new escape node (and replan even if it's the same one)
+        if (this.stuckTime > 1 && this.targetNode) {
+            this.targetNode = this.getSafeNode(this.lastDangerPos, pos);
+            this.path = null;
+            this.stuckTime = 0;
+        }
+        
+        if (this.targetNode) {
+            const waypoint = this.followPath(pos);
+            const dir = steer(this, pos, new THREE.Vector3().subVectors(waypoint, pos));
+            
+            // Run speed - faster when fleeing, slightly erratic, fitter runs faster,
+            // and slowing down as stamina runs out
+            const baseSpeed = (this.fleeAfterHide ? 8.5 : 7.5) * this.personality.scale('fitness', 0.3) *
+                this.speedLimit();
+            const speedVariation = Math.sin(simClock.time * 8) * 0.5;
+            const speed = baseSpeed + speedVariation;
+            this.body.velocity.x = dir.x * speed;
+            this.body.velocity.z = dir.z * speed;
+            
+            // Add a sideways nudge when we're not making progress to slip around obstacles
+            if (this.stuckTime > 0.4) {
+                const sidestep = this.rng.spread(4);
+                this.body.velocity.x += -dir.z * sidestep;
+                this.body.velocity.z += dir.x * sidestep;
+            }
+            
+            // Start crouching as we get closer to cover
+            const distToCover = pos.distanceTo(this.targetNode);
+            if (!this.fleeAfterHide && distToCover < 5) {
+                this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0.5, dt * 2);
+            } else if (this.fleeAfterHide) {
+                // When fleeing after hiding, stand back up to sprint away.
+                this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0.0, dt * 3);
+            }
+            
+            // Frantic looking behavior - checks surroundings more
+            let lookTarget;
+            const lookRoll = this.rng.next();
+            
+            if (lookRoll > 0.88) {
+                // Look back at most recent danger
+                lookTarget = this.lastDangerPos.clone();
+                lookTarget.y = this.camera.position.y;
+            } else if (lookRoll > 0.80 && this.dangerMemory.length > 1) {
+                // Glance at another remembered danger
+                const otherDanger = this.rng.pick(this.dangerMemory);
+                lookTarget = otherDanger.pos.clone();
+                lookTarget.y = this.camera.position.y;
+            } else if (lookRoll > 0.75) {
+                // Quick side glance while running
+                const sideAngle = this.rng.sign() * Math.PI / 3;
+                const runAngle = Math.atan2(dir.x, dir.z);
+                lookTarget = new THREE.Vector3(
+                    pos.x + Math.sin(runAngle + sideAngle) * 5,
+                    this.camera.position.y,
+                    pos.z + Math.cos(runAngle + sideAngle) * 5
+                );
+            } else {
+                // Look where running
+                lookTarget = new THREE.Vector3(waypoint.x, this.camera.position.y, waypoint.z);
+            }
             
-        default:
-            handleIdleState(pos, dt);
+            // Add shake offset to look target - more intense when panicking
+            const shakeTime = simClock.time;
+            const shakeIntensity = this.fleeAfterHide ? 0.2 : 0.35;
+            lookTarget.x += Math.sin(shakeTime * 15) * this.shake * shakeIntensity;
+            lookTarget.z += Math.cos(shakeTime * 13) * this.shake * shakeIntensity;
+            
+            // Use safe look (faster smoothing when panicking)
+            this.safeLookAt(lookTarget, 0.18);
+            
+            // Check arrival at cover
+            if (distToCover < 1.5) {
+                if (this.fleeAfterHide) {
+                    // We've fled to a far spot; resume normal behavior.
+                    this.calmDown();
+                } else {
+                    // Transition to cowering/hiding (the brave don't stay down as long)
+                    this.status = 'COWERING';
+                    this.targetNode = null;
+                    this.panicTimer = this.rng.range(6, 12) * this.personality.scale('bravery', -0.5);
+                }
+            }
+        }
+        
+        // High shake
+        this.shake = THREE.MathUtils.lerp(this.shake, 2.5, dt * 3);
     }
-    
-    // Apply the safe camera rotation (never flips!)
-    applyCameraRotation();
-}
 
-function handlePanicState(pos, dt) {
-    // Update UI
-    if (window.updateNPCStatus) window.updateNPCStatus(npc.fleeAfterHide ? 'FLEEING' : 'PANIC');
-
-    // Make sure physics wakes up when panicking
-    npc.body.wakeUp();
-    
-    // Keep alert level maxed while panicking
-    npc.alertLevel = 1;
-    
-    // Find safe spot away from danger (considering all remembered dangers)
-        if (!npc.targetNode) {
-        // Find the most threatening danger position (closest or most recent)
-        let primaryDanger = npc.lastDangerPos;
-        if (npc.dangerMemory.length > 0) {
-            let closestDist = Infinity;
-            for (const danger of npc.dangerMemory) {
-                const dist = pos.distanceTo(danger.pos);
-                if (dist < closestDist) {
-                    closestDist = dist;
-                    primaryDanger = danger.pos;
-                }
+    handleCoweringState(pos, dt) {
+        // Update UI
+        this.statusLabel = 'HIDING';
+        
+        // Keep alert high while hiding
+        this.alertLevel = Math.max(0.7, this.alertLevel);
+        
+        // Still hidden? (may switch to PANIC to run for better cover)
+        this.recheckCover(pos);
+        if (this.status !== 'COWERING') return;
+        
+        // Stop moving - pressed against cover (small trembling movements)
+        const tremble = Math.sin(simClock.time * 20) * 0.1;
+        this.body.velocity.x = this.body.velocity.x * 0.8 + tremble;
+        this.body.velocity.z = this.body.velocity.z * 0.8 + tremble * 0.5;
+        
+        // CROUCH DOWN - lower camera significantly
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 1.0, dt * 3);
+        
+        // Safety: If coverDirection wasn't set, calculate it now (away from danger)
+        if (this.coverDirection.lengthSq() < 0.01) {
+            this.coverDirection.subVectors(pos, this.lastDangerPos).normalize();
+            // If still zero (danger is at same position), pick random direction
+            if (this.coverDirection.lengthSq() < 0.01) {
+                this.coverDirection.set(this.rng.spread(1), 0, this.rng.spread(1)).normalize();
             }
         }
         
-        npc.targetNode = npc.fleeAfterHide
-            ? getFarSafeNode(primaryDanger, pos)
-            : getSafeNode(primaryDanger, pos);
+        const shakeTime = simClock.time;
+        
+        // More dynamic peeking behavior
+        let lookTarget;
+        const peekPhase = Math.sin(shakeTime * 0.4);
+        const nervousGlance = Math.sin(shakeTime * 2.3) > 0.9;
         
-        // Calculate direction to face when hiding (away from danger)
-        if (npc.targetNode) {
-            npc.coverDirection.subVectors(npc.targetNode, primaryDanger).normalize();
+        if (peekPhase > 0.6 || nervousGlance) {
+            // Peek back at danger - varies which danger we look at
+            if (this.dangerMemory.length > 1 && this.rng.next() > 0.6) {
+                const danger = this.rng.pick(this.dangerMemory);
+                lookTarget = danger.pos.clone();
+        } else {
+                lookTarget = this.lastDangerPos.clone();
+            }
+            lookTarget.y = this.camera.position.y - 0.2;
+            
+            // Quick nervous peek, not a long stare
+            if (nervousGlance) {
+                lookTarget.x += this.rng.spread(3);
+                lookTarget.z += this.rng.spread(3);
+            }
+        } else if (peekPhase < -0.5) {
+            // Look down at hands/ground (thinking/processing)
+            lookTarget = new THREE.Vector3(
+                pos.x + this.coverDirection.x * 0.5,
+                this.camera.position.y - 1.2,
+                pos.z + this.coverDirection.z * 0.5
+            );
+        } else {
+            // Face away from danger / toward wall
+            lookTarget = new THREE.Vector3(
+                pos.x + this.coverDirection.x * 3,
+                this.camera.position.y - 0.5,
+                pos.z + this.coverDirection.z * 3
+            );
+            
+            // Small nervous head movements - faster when more dangers remembered
+            const nervousness = 1 + this.dangerMemory.length * 0.3;
+            lookTarget.x += Math.sin(shakeTime * 3 * nervousness) * 0.5;
+            lookTarget.z += Math.cos(shakeTime * 2.5 * nervousness) * 0.5;
         }
+        
+        // Add nervous jitter - more intense with more recent dangers
+        const jitterIntensity = 0.08 + this.recentDangerCount * 0.03;
+        lookTarget.x += Math.sin(shakeTime * 12) * this.shake * jitterIntensity;
+        lookTarget.z += Math.cos(shakeTime * 13) * this.shake * jitterIntensity;
+        
+        // Use safe look - slower when hiding
+        this.safeLookAt(lookTarget, 0.06);
+        
+        // Trembling intensity based on recent danger count
+        const targetShake = 1.0 + this.recentDangerCount * 0.2;
+        this.shake = THREE.MathUtils.lerp(this.shake, Math.min(targetShake, 2.0), dt * 2);
     }
 
-    // If we've been stuck for a bit, pick a new escape node
-    if (npc.stuckTime > 1 && npc.targetNode) {
-        npc.targetNode = getSafeNode(npc.lastDangerPos, pos);
-        npc.stuckTime = 0;
+    handleLookingState(pos, dt) {
+        // Update UI
+        this.statusLabel = 'LOOKING';
+        
+        // Increase alertness while looking at danger
+        this.alertLevel = Math.min(1, this.alertLevel + dt * 0.2);
+        
+        // Stand back up (but slowly, cautiously) - stay lower if very alert
+        const targetCrouch = this.alertLevel > 0.6 ? 0.2 : 0;
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, targetCrouch, dt);
+        
+        // Stop and look at the chaos - slight backward drift
+        this.body.velocity.x *= 0.92;
+        this.body.velocity.z *= 0.92;
+        
+        // Subtle backing away if danger is close (less so if brave)
+        const dangerDist = pos.distanceTo(this.lastDangerPos);
+        if (dangerDist < 10) {
+            const awayDir = new THREE.Vector3().subVectors(pos, this.lastDangerPos).normalize();
+            const backOff = 0.5 * this.personality.scale('bravery', -0.8);
+            this.body.velocity.x += awayDir.x * backOff;
+            this.body.velocity.z += awayDir.z * backOff;
+        }
+        
+        const shakeTime = simClock.time;
+        let lookTarget;
+        
+        // Scan between different danger sources
+        const scanPhase = Math.floor(shakeTime * 0.8) % (this.dangerMemory.length + 1);
+        
+        if (scanPhase < this.dangerMemory.length && this.dangerMemory.length > 0) {
+            lookTarget = this.dangerMemory[scanPhase].pos.clone();
+        } else {
+            lookTarget = this.lastDangerPos.clone();
+        }
+        lookTarget.y = this.camera.position.y;
+        
+        // Nervous jitter while watching - more intense with more dangers
+        const jitter = 0.1 + this.dangerMemory.length * 0.05;
+        lookTarget.x += Math.sin(shakeTime * 8) * this.shake * jitter;
+        lookTarget.z += Math.cos(shakeTime * 9) * this.shake * jitter;
+        
+        // Use safe look - the curious snap toward it faster
+        this.safeLookAt(lookTarget, 0.1 * this.personality.scale('curiosity', 0.4));
+        
+        // Shake based on proximity to danger
+        const targetShake = (dangerDist < 15 ? 0.8 : 0.5) * this.personality.scale('jumpiness', 0.5);
+        this.shake = THREE.MathUtils.lerp(this.shake, targetShake, dt);
+        
+        // Decision making - more likely to panic if multiple dangers or close.
+        // The curious keep watching longer before making up their mind.
+        const p = this.personality;
+        const decideChance = (0.008 + this.dangerMemory.length * 0.004 + (dangerDist < 12 ? 0.01 : 0)) *
+            p.scale('curiosity', -0.6);
+        
+        if (this.rng.next() < decideChance) {
+            const calmDownChance = 0.35 * p.scale('bravery', 0.8) * p.scale('jumpiness', -0.5);
+            if (this.rng.next() > calmDownChance || dangerDist < 10 * p.scale('bravery', -0.4)) {
+                this.startPanic(this.rng.range(8, 12));
+            } else if (this.wantsToInvestigate()) {
+                // Not scary after all - worth a closer look
+                this.startInvestigating(this.lastDangerPos);
+            } else {
+                this.status = 'IDLE';
+            }
+        }
     }
-    
-        if (npc.targetNode) {
-            const dir = new THREE.Vector3().subVectors(npc.targetNode, pos).normalize();
+
+    handleIdleState(pos, dt) {
+        // Update UI - show CAUTIOUS if alert level is high
+        this.statusLabel = this.alertLevel > 0.3 ? 'CAUTIOUS' : 'IDLE';
+        
+        // Decay alert level over time
+        this.alertLevel = Math.max(0, this.alertLevel - dt * 0.05);
+        
+        // Clean old danger memories (older than 30 seconds)
+        this.dangerMemory = this.dangerMemory.filter(d => simClock.time - d.time < 30);
+        
+        // Stand back up (slower if nervous)
+        const standSpeed = this.alertLevel > 0.3 ? 1 : 2;
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0, dt * standSpeed);
+        
+        // Wandering behavior changes with alert level
+        const changeTargetChance = this.alertLevel > 0.3 ? 0.99 : 0.997;
+        if (!this.targetNode || this.rng.next() > changeTargetChance) {
+            // When nervous, stay closer / move less predictably.
+            // Only consider nodes we can actually walk to.
+            const searchRadius = this.alertLevel > 0.3 ? 8 : 15;
+            const island = navMesh ? navMesh.islandAt(pos) : -1;
+            const nearbyNodes = navNodes.filter(n => n.distanceTo(pos) < searchRadius &&
+                (island === -1 || navMesh.islandAt(n) === island) && !isNodeBlocked(n));
             
-        // Run speed - faster when fleeing, slightly erratic
-        const baseSpeed = npc.fleeAfterHide ? 8.5 : 7.5;
-        const speedVariation = Math.sin(clock.getElapsedTime() * 8) * 0.5;
-        const speed = baseSpeed + speedVariation;
-            npc.body.velocity.x = dir.x * speed;
-            npc.body.velocity.z = dir.z * speed;
+            // Avoid recent danger zones when picking new targets (the curious drift closer)
+            let safeNodes = nearbyNodes;
+            if (this.dangerMemory.length > 0) {
+                const keepAway = 10 * this.personality.scale('curiosity', -0.6);
+                safeNodes = nearbyNodes.filter(n => {
+                    for (const danger of this.dangerMemory) {
+                        if (n.distanceTo(danger.pos) < keepAway) return false;
+                    }
+                    return true;
+                });
+            }
             
-        // Add a sideways nudge when we're not making progress to slip around obstacles
-        if (npc.stuckTime > 0.4) {
-            const sidestep = (Math.random() - 0.5) * 4;
-            npc.body.velocity.x += -dir.z * sidestep;
-            npc.body.velocity.z += dir.x * sidestep;
+            this.targetNode = safeNodes.length > 0 
+                ? this.rng.pick(safeNodes)
+                : (nearbyNodes.length > 0 
+                    ? this.rng.pick(nearbyNodes)
+                    : this.rng.pick(navNodes));
         }
         
-        // Start crouching as we get closer to cover
-        const distToCover = pos.distanceTo(npc.targetNode);
-        if (!npc.fleeAfterHide && distToCover < 5) {
-            npc.crouchAmount = THREE.MathUtils.lerp(npc.crouchAmount, 0.5, dt * 2);
-        } else if (npc.fleeAfterHide) {
-            // When fleeing after hiding, stand back up to sprint away.
-            npc.crouchAmount = THREE.MathUtils.lerp(npc.crouchAmount, 0.0, dt * 3);
+        const waypoint = this.followPath(pos);
+        const dir = steer(this, pos, new THREE.Vector3().subVectors(waypoint, pos));
+        
+        // Arrived - pick somewhere new next tick
+        if (this.pathIndex === this.path.length - 1 &&
+            Math.hypot(waypoint.x - pos.x, waypoint.z - pos.z) < CONFIG.navigation.waypointRadius) {
+            this.targetNode = null;
         }
         
-        // Frantic looking behavior - checks surroundings more
+        // Walking speed varies with nervousness
+        const walkSpeed = (this.alertLevel > 0.5 ? 2.8 : (this.alertLevel > 0.2 ? 2.2 : 1.8)) *
+            this.personality.scale('fitness', 0.2) * this.speedLimit();
+        this.body.velocity.x = dir.x * walkSpeed;
+        this.body.velocity.z = dir.z * walkSpeed;
+        
+        const shakeTime = simClock.time;
         let lookTarget;
-        const lookRoll = Math.random();
-        
-        if (lookRoll > 0.88) {
-            // Look back at most recent danger
-            lookTarget = npc.lastDangerPos.clone();
-            lookTarget.y = camera.position.y;
-        } else if (lookRoll > 0.80 && npc.dangerMemory.length > 1) {
-            // Glance at another remembered danger
-            const otherDanger = npc.dangerMemory[Math.floor(Math.random() * npc.dangerMemory.length)];
-            lookTarget = otherDanger.pos.clone();
-            lookTarget.y = camera.position.y;
-        } else if (lookRoll > 0.75) {
-            // Quick side glance while running
-            const sideAngle = (Math.random() > 0.5 ? 1 : -1) * Math.PI / 3;
-            const runAngle = Math.atan2(dir.x, dir.z);
+        
+        // Nervous looking around behavior
+        const timeSinceLastLook = shakeTime - this.lastLookAroundTime;
+        const lookAroundInterval = this.alertLevel > 0.3 ? 2 : 5;
+        
+        if (timeSinceLastLook > lookAroundInterval && this.rng.next() > 0.95) {
+            this.lastLookAroundTime = shakeTime;
+            
+            // Look at a remembered danger location or random direction
+            if (this.dangerMemory.length > 0 && this.rng.next() > 0.4) {
+                const danger = this.rng.pick(this.dangerMemory);
+                lookTarget = danger.pos.clone();
+                lookTarget.y = this.camera.position.y;
+            } else {
+                // Random nervous glance
+                const glanceAngle = this.rng.next() * Math.PI * 2;
+                lookTarget = new THREE.Vector3(
+                    pos.x + Math.cos(glanceAngle) * 10,
+                    this.camera.position.y + this.rng.spread(0.5),
+                    pos.z + Math.sin(glanceAngle) * 10
+                );
+            }
+        } else {
+            // Normal forward-looking with breathing sway (bigger when out of breath)
+            const breathPhase = this.vitals.breathPhase;
+            const breathSway = Math.sin(breathPhase) * 0.1 * (1 + this.alertLevel + this.vitals.breathDepth);
             lookTarget = new THREE.Vector3(
-                pos.x + Math.sin(runAngle + sideAngle) * 5,
-                camera.position.y,
-                pos.z + Math.cos(runAngle + sideAngle) * 5
+                waypoint.x + Math.sin(shakeTime * 3) * this.shake * 0.2 + breathSway,
+                this.camera.position.y + 0.3 + Math.cos(breathPhase) * 0.05 * (1 + this.vitals.breathDepth),
+                waypoint.z + Math.cos(shakeTime * 3.5) * this.shake * 0.2
             );
+        }
+        
+        // Smoothing varies - faster head movement when nervous (or jumpy)
+        const lookSpeed = (this.alertLevel > 0.3 ? 0.08 : 0.05) * this.personality.scale('jumpiness', 0.4);
+        this.safeLookAt(lookTarget, lookSpeed);
+        
+        // Shake increases with nervousness
+        const targetShake = (0.15 + this.alertLevel * 0.4) * this.personality.scale('jumpiness', 0.5);
+        this.shake = THREE.MathUtils.lerp(this.shake, targetShake, dt);
+    }
+
+    // Deer in headlights: rooted to the spot, staring at it, until the legs
+    // remember what they're for
+    handleFrozenState(pos, dt) {
+        this.statusLabel = 'FROZEN';
+        this.stateTimer -= dt;
+        this.alertLevel = 1;
+        
+        this.body.velocity.x *= 0.8;
+        this.body.velocity.z *= 0.8;
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0.15, dt * 2);
+        
+        // A fixed stare - no scanning, no glancing away, just the trembling
+        this.safeLookAt(this.lastDangerPos, 0.25);
+        const targetShake = 1.2 * this.personality.scale('jumpiness', 0.5);
+        this.shake = THREE.MathUtils.lerp(this.shake, targetShake, dt * 4);
+        
+        if (this.stateTimer <= 0) this.startPanic(this.panicAfterFreeze);
+    }
+
+    // Edge toward a quiet disturbance, stop short of it and look it over,
+    // then carry on. Anything scarier on the way gets the usual reaction.
+    handleInvestigatingState(pos, dt) {
+        this.statusLabel = 'INVESTIGATING';
+        this.stateTimer -= dt;
+        const p = this.personality;
+        const spot = this.investigateSpot ?? this.lastDangerPos;
+        
+        // On edge, a little hunched
+        this.alertLevel = Math.max(this.alertLevel, 0.3);
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0.2, dt);
+        
+        const dist = Math.hypot(spot.x - pos.x, spot.z - pos.z);
+        const stopAt = CONFIG.behaviour.investigateDistance * p.scale('bravery', -0.5);
+        let lookTarget;
+        
+        if (!this.arrived && dist > stopAt && this.stuckTime < 2) {
+            if (!this.targetNode) this.targetNode = spot.clone();
+            const waypoint = this.followPath(pos);
+            const dir = steer(this, pos, new THREE.Vector3().subVectors(waypoint, pos));
+            
+            // Slower than a stroll
+            const speed = 1.4 * p.scale('fitness', 0.2) * this.speedLimit();
+            this.body.velocity.x = dir.x * speed;
+            this.body.velocity.z = dir.z * speed;
+            lookTarget = spot.clone();
         } else {
-            // Look where running
-            lookTarget = new THREE.Vector3(npc.targetNode.x, camera.position.y, npc.targetNode.z);
-        }
-        
-        // Add shake offset to look target - more intense when panicking
-        const shakeTime = clock.getElapsedTime();
-        const shakeIntensity = npc.fleeAfterHide ? 0.2 : 0.35;
-        lookTarget.x += Math.sin(shakeTime * 15) * npc.shake * shakeIntensity;
-        lookTarget.z += Math.cos(shakeTime * 13) * npc.shake * shakeIntensity;
-        
-        // Use safe look (faster smoothing when panicking)
-        safeLookAt(lookTarget, 0.18);
-        
-        // Check arrival at cover
-        if (distToCover < 1.5) {
-            if (npc.fleeAfterHide) {
-                // We've fled to a far spot; resume normal behavior.
-                npc.status = 'IDLE';
-                npc.fleeAfterHide = false;
-                npc.targetNode = null;
-                npc.panicTimer = 0;
-            } else {
-                // Transition to cowering/hiding
-                npc.status = 'COWERING';
-                npc.targetNode = null;
-                npc.panicTimer = 6 + Math.random() * 6;
+            // Close enough (or can't get closer) - a last look, longer if curious
+            if (!this.arrived) {
+                this.arrived = true;
+                this.targetNode = null;
+                this.stateTimer = Math.min(this.stateTimer, this.rng.range(3, 6) * p.scale('curiosity', 0.5));
             }
+            this.body.velocity.x *= 0.85;
+            this.body.velocity.z *= 0.85;
+            
+            // Sweep across the spot
+            const sweep = Math.sin(simClock.time * 0.9) * 4;
+            lookTarget = new THREE.Vector3(
+                spot.x + Math.cos(this.yaw) * sweep,
+                0,
+                spot.z - Math.sin(this.yaw) * sweep
+            );
+        }
+        lookTarget.y = this.camera.position.y - 0.4;
+        this.safeLookAt(lookTarget, 0.06 * p.scale('curiosity', 0.4));
+        
+        const targetShake = 0.3 * p.scale('jumpiness', 0.5);
+        this.shake = THREE.MathUtils.lerp(this.shake, targetShake, dt);
+        
+        if (this.stateTimer <= 0) {
+            this.status = 'IDLE';
+            this.targetNode = null;
         }
     }
-    
-    // High shake
-    npc.shake = THREE.MathUtils.lerp(npc.shake, 2.5, dt * 3);
-}
 
-function handleCoweringState(pos, dt) {
-    // Update UI
-    if (window.updateNPCStatus) window.updateNPCStatus('HIDING');
-    
-    // Keep alert high while hiding
-    npc.alertLevel = Math.max(0.7, npc.alertLevel);
-    
-    // Stop moving - pressed against cover (small trembling movements)
-    const tremble = Math.sin(clock.getElapsedTime() * 20) * 0.1;
-    npc.body.velocity.x = npc.body.velocity.x * 0.8 + tremble;
-    npc.body.velocity.z = npc.body.velocity.z * 0.8 + tremble * 0.5;
-    
-    // CROUCH DOWN - lower camera significantly
-    npc.crouchAmount = THREE.MathUtils.lerp(npc.crouchAmount, 1.0, dt * 3);
-    
-    // Safety: If coverDirection wasn't set, calculate it now (away from danger)
-    if (npc.coverDirection.lengthSq() < 0.01) {
-        npc.coverDirection.subVectors(pos, npc.lastDangerPos).normalize();
-        // If still zero (danger is at same position), pick random direction
-        if (npc.coverDirection.lengthSq() < 0.01) {
-            npc.coverDirection.set(Math.random() - 0.5, 0, Math.random() - 0.5).normalize();
+    // On the phone to 911: standing still, eyes on the screen, glancing up
+    // at the scene now and then
+    handlePhoneState(pos, dt) {
+        this.stateTimer -= dt;
+        this.callTime += dt;
+        this.statusLabel = 'ON PHONE';
+        
+        // Talking it through calms them down a little
+        this.alertLevel = Math.max(0, this.alertLevel - dt * 0.03);
+        
+        this.body.velocity.x *= 0.85;
+        this.body.velocity.z *= 0.85;
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0, dt * 2);
+        
+        const glanceUp = this.callTime > CONFIG.behaviour.dialTime && Math.sin(this.callTime * 0.7) > 0.6;
+        const lookTarget = glanceUp
+            ? new THREE.Vector3(this.lastDangerPos.x, this.camera.position.y, this.lastDangerPos.z)
+            : new THREE.Vector3(
+                pos.x + Math.sin(this.yaw) * 0.6,
+                this.camera.position.y - 0.5,
+                pos.z + Math.cos(this.yaw) * 0.6
+            );
+        this.safeLookAt(lookTarget, glanceUp ? 0.08 : 0.05);
+        
+        const targetShake = (0.3 + this.alertLevel * 0.5) * this.personality.scale('jumpiness', 0.5);
+        this.shake = THREE.MathUtils.lerp(this.shake, targetShake, dt);
+        
+        if (this.stateTimer <= 0) {
+            console.log(`NPC ${this.id} hung up (${this.callTime.toFixed(0)}s call)`);
+            this.status = 'IDLE';
+            this.lastCallTime = simClock.time;
         }
     }
-    
-    const shakeTime = clock.getElapsedTime();
-    
-    // More dynamic peeking behavior
-    let lookTarget;
-    const peekPhase = Math.sin(shakeTime * 0.4);
-    const nervousGlance = Math.sin(shakeTime * 2.3) > 0.9;
-    
-    if (peekPhase > 0.6 || nervousGlance) {
-        // Peek back at danger - varies which danger we look at
-        if (npc.dangerMemory.length > 1 && Math.random() > 0.6) {
-            const danger = npc.dangerMemory[Math.floor(Math.random() * npc.dangerMemory.length)];
-            lookTarget = danger.pos.clone();
-    } else {
-            lookTarget = npc.lastDangerPos.clone();
+
+    // Hurry over to someone who's down and stay with them a while,
+    // then call it in
+    handleHelpingState(pos, dt) {
+        this.statusLabel = 'HELPING';
+        this.stateTimer -= dt;
+        
+        // They got back up, or we never made it over
+        const patient = this.patient;
+        if (!patient || patient.status !== 'DOWN' || (!this.arrived && this.stateTimer <= 0)) {
+            this.patient = null;
+            this.calmDown();
+            return;
+        }
+        if (this.stateTimer <= 0) {
+            this.patient = null;
+            if (simClock.time - this.lastCallTime > CONFIG.behaviour.callCooldown) this.startCall();
+            else this.calmDown();
+            return;
         }
-        lookTarget.y = camera.position.y - 0.2;
         
-        // Quick nervous peek, not a long stare
-        if (nervousGlance) {
-            lookTarget.x += (Math.random() - 0.5) * 3;
-            lookTarget.z += (Math.random() - 0.5) * 3;
+        const target = patient.body.position;
+        const dist = Math.hypot(target.x - pos.x, target.z - pos.z);
+        
+        if (!this.arrived && dist > 1.5) {
+            // Replan if they've slid since we set off
+            if (!this.targetNode || this.targetNode.distanceTo(target) > 1) {
+                this.targetNode = new THREE.Vector3().copy(target);
+            }
+            const waypoint = this.followPath(pos);
+            const dir = steer(this, pos, new THREE.Vector3().subVectors(waypoint, pos));
+            const speed = 4 * this.personality.scale('fitness', 0.3) * this.speedLimit();
+            this.body.velocity.x = dir.x * speed;
+            this.body.velocity.z = dir.z * speed;
+            this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0, dt * 2);
+        } else {
+            // Kneeling beside them
+            if (!this.arrived) {
+                this.arrived = true;
+                this.targetNode = null;
+                this.stateTimer = this.rng.range(6, 10);
+            }
+            this.body.velocity.x *= 0.8;
+            this.body.velocity.z *= 0.8;
+            this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0.9, dt * 2);
         }
-    } else if (peekPhase < -0.5) {
-        // Look down at hands/ground (thinking/processing)
-        lookTarget = new THREE.Vector3(
-            pos.x + npc.coverDirection.x * 0.5,
-            camera.position.y - 1.2,
-            pos.z + npc.coverDirection.z * 0.5
-        );
-    } else {
-        // Face away from danger / toward wall
-        lookTarget = new THREE.Vector3(
-            pos.x + npc.coverDirection.x * 3,
-            camera.position.y - 0.5,
-            pos.z + npc.coverDirection.z * 3
-        );
         
-        // Small nervous head movements - faster when more dangers remembered
-        const nervousness = 1 + npc.dangerMemory.length * 0.3;
-        lookTarget.x += Math.sin(shakeTime * 3 * nervousness) * 0.5;
-        lookTarget.z += Math.cos(shakeTime * 2.5 * nervousness) * 0.5;
+        const lookTarget = new THREE.Vector3(target.x, target.y - 0.3, target.z);
+        this.safeLookAt(lookTarget, 0.08);
+        this.shake = THREE.MathUtils.lerp(this.shake, 0.4, dt);
     }
-    
-    // Add nervous jitter - more intense with more recent dangers
-    const jitterIntensity = 0.08 + npc.recentDangerCount * 0.03;
-    lookTarget.x += Math.sin(shakeTime * 12) * npc.shake * jitterIntensity;
-    lookTarget.z += Math.cos(shakeTime * 13) * npc.shake * jitterIntensity;
-    
-    // Use safe look - slower when hiding
-    safeLookAt(lookTarget, 0.06);
-    
-    // Trembling intensity based on recent danger count
-    const targetShake = 1.0 + npc.recentDangerCount * 0.2;
-    npc.shake = THREE.MathUtils.lerp(npc.shake, Math.min(targetShake, 2.0), dt * 2);
-}
 
-function handleLookingState(pos, dt) {
-    // Update UI
-    if (window.updateNPCStatus) window.updateNPCStatus('LOOKING');
-    
-    // Increase alertness while looking at danger
-    npc.alertLevel = Math.min(1, npc.alertLevel + dt * 0.2);
-    
-    // Stand back up (but slowly, cautiously) - stay lower if very alert
-    const targetCrouch = npc.alertLevel > 0.6 ? 0.2 : 0;
-    npc.crouchAmount = THREE.MathUtils.lerp(npc.crouchAmount, targetCrouch, dt);
-    
-    // Stop and look at the chaos - slight backward drift
-    npc.body.velocity.x *= 0.92;
-    npc.body.velocity.z *= 0.92;
-    
-    // Subtle backing away if danger is close
-    const dangerDist = pos.distanceTo(npc.lastDangerPos);
-    if (dangerDist < 10) {
-        const awayDir = new THREE.Vector3().subVectors(pos, npc.lastDangerPos).normalize();
-        npc.body.velocity.x += awayDir.x * 0.5;
-        npc.body.velocity.z += awayDir.z * 0.5;
+    // NPC reaction to a threat: { position, severity 0-1, response?, duration?,
+    // escalateChance?, escalateAfter?, type?, source? } - see ChaosRegistry.js
+    reactToThreat(threat) {
+        const p = this.personality;
+        // Jumpy people take everything worse
+        const severity = THREE.MathUtils.clamp(threat.severity * p.scale('jumpiness', 0.4), 0, 1);
+        const position = new THREE.Vector3().copy(threat.position);
+        const response = threat.response
+            || (severity >= 0.6 ? 'panic' : severity >= 0.25 ? 'look' : 'notice');
+        const panicDuration = () => threat.duration ??
+            (4 + severity * 10 + this.rng.spread(4)) * p.scale('bravery', -0.4);
+        
+        this.lastDangerPos.copy(position);
+        this.alertLevel = Math.min(1, this.alertLevel + severity * 0.5);
+        
+        this.dangerMemory.push({
+            pos: position.clone(),
+            time: simClock.time,
+            type: threat.type || 'unknown',
+            severity,
+            source: threat.source || null     // Anything with a .position the danger moves with
+        });
+        if (this.dangerMemory.length > 5) this.dangerMemory.shift();
+        
+        // Real frights get an audible gasp
+        if (severity >= 0.8) {
+            playSound('gasp', this === npc ? { volume: 0.6 } : { object: this.mesh, volume: 0.6 });
+        }
+        
+        // Can't do anything about it lying on the ground
+        if (this.status === 'DOWN') return;
+        
+        const calm = NPC_STATE_GROUPS.calm.includes(this.status);
+        
+        switch (response) {
+            case 'panic': {
+                // Sudden and bad enough to root the timid to the spot first
+                const freezeChance = CONFIG.behaviour.freezeChance * severity *
+                    p.scale('bravery', -0.8) * p.scale('jumpiness', 0.6);
+                if (this.status === 'COWERING') {
+                    // Stay down longer if already hiding
+                    this.panicTimer += severity * 5;
+                } else if (calm && this.rng.next() < freezeChance) {
+                    this.freeze(panicDuration());
+                } else {
+                    this.startPanic(panicDuration());
+                }
+                break;
+            }
+                
+            case 'look': {
+                if (!calm) break;
+                // Look toward it, might panic once it sinks in
+                this.status = 'LOOKING';
+                this.panicTimer = 2 + severity * 2;
+                const chance = threat.escalateChance ?? severity * 1.2 * p.scale('bravery', -0.6);
+                simClock.after(threat.escalateAfter ?? 1.5, () => {
+                    if (this.status === 'LOOKING' && this.rng.next() < chance) {
+                        this.startPanic(panicDuration());
+                    }
+                });
+                break;
+            }
+                
+            case 'cower': {
+                if (!calm) break;
+                this.status = 'COWERING';
+                this.panicTimer = (threat.duration ?? 3) * p.scale('bravery', -0.5);
+                // Face away from the threat
+                const npcPos = new THREE.Vector3(this.body.position.x, 0, this.body.position.z);
+                this.coverDirection.subVectors(npcPos, position.setY(0)).normalize();
+                break;
+            }
+            
+            case 'notice':
+                // Alertness and memory - and the curious go and see what it was
+                if ((this.status === 'IDLE' || this.status === 'INVESTIGATING') && this.wantsToInvestigate()) {
+                    this.startInvestigating(position);
+                }
+                break;
+        }
+    }
+
+    // Plan a route to this.targetNode - straight line if the navmesh has none
+    planPath(pos) {
+        this.path = navMesh ? navMesh.findPath(pos, this.targetNode) : null;
+        if (!this.path || this.path.length === 0) this.path = [this.targetNode.clone()];
+        this.pathIndex = 0;
+        this.pathTarget = this.targetNode;
+    }
+
+    // Current waypoint toward this.targetNode, replanning whenever the target changes
+    followPath(pos) {
+        if (!this.path || this.pathTarget !== this.targetNode) this.planPath(pos);
+        
+        const reach = CONFIG.navigation.waypointRadius;
+        while (this.pathIndex < this.path.length - 1) {
+            const waypoint = this.path[this.pathIndex];
+            const dx = waypoint.x - pos.x;
+            const dz = waypoint.z - pos.z;
+            if (dx * dx + dz * dz > reach * reach) break;
+            this.pathIndex++;
+        }
+        return this.path[this.pathIndex];
+    }
+
+    // --- AI LOGIC ---
+    getSafeNode(dangerPos, npcPos) {
+        // ALWAYS prioritize cover spots when panicking
+        const safeCover = coverSpots.filter(spot => spot.distanceTo(dangerPos) > 8 && !isNodeBlocked(spot));
+        
+        if (safeCover.length > 0) {
+            // Find the closest safe cover spot to the NPC that the threats can't see
+            return this.pickLeastExposed(safeCover, spot => {
+                // Score = distance to NPC (lower is better) - distance from danger (higher is better)
+                const distToNpc = npcPos ? spot.distanceTo(npcPos) : 0;
+                const distFromDanger = spot.distanceTo(dangerPos);
+                return distToNpc - distFromDanger * 0.5; // Prioritize being far from danger
+            });
+        }
+        
+        // Fallback: find distant nav node
+        const safeNodes = navNodes.filter(node => node.distanceTo(dangerPos) > 12 && !isNodeBlocked(node));
+        
+        if (safeNodes.length === 0) {
+            let furthest = navNodes[0];
+            let maxDist = 0;
+            for (const n of navNodes) {
+                const d = n.distanceTo(dangerPos);
+                if (d > maxDist) { maxDist = d; furthest = n; }
+            }
+            return furthest;
+        }
+
+        // Pick closest safe node to NPC (out of sight if possible)
+        if (npcPos) {
+            return this.pickLeastExposed(safeNodes, n => n.distanceTo(npcPos));
+        }
+        
+        return this.rng.pick(safeNodes);
+    }
+
+    getFarSafeNode(dangerPos, npcPos) {
+        // Prefer the spot that maximizes distance from danger, with a small bias toward not being absurdly far from the NPC.
+        // This is meant for "post-hide fleeing" when the immediate danger has passed.
+        const candidates = [];
+
+        for (const spot of coverSpots) {
+            if (spot.distanceTo(dangerPos) > 8) candidates.push(spot);
+        }
+        for (const node of navNodes) {
+            if (node.distanceTo(dangerPos) > 12) candidates.push(node);
+        }
+
+        if (candidates.length === 0) {
+            // Worst-case fallback: pick the furthest nav node from danger
+            let furthest = navNodes[0];
+            let maxDist = -Infinity;
+            for (const n of navNodes) {
+                const d = n.distanceTo(dangerPos);
+                if (d > maxDist) { maxDist = d; furthest = n; }
+            }
+            return furthest;
+        }
+
+        return this.pickLeastExposed(candidates, c => {
+            const distFromDanger = c.distanceTo(dangerPos);
+            const distToNpc = npcPos ? c.distanceTo(npcPos) : 0;
+            return -(distFromDanger - distToNpc * 0.15);
+        });
+    }
+
+    // Best candidate by score (lower is better), after penalising the top few
+    // for how visible they are to the remembered threats. Raycasts are the
+    // expensive part, so only CONFIG.cover.candidates spots get them.
+    pickLeastExposed(candidates, score) {
+        const { candidates: count, exposureWeight } = CONFIG.cover;
+        const ranked = candidates
+            .map(spot => ({ spot, score: score(spot) }))
+            .sort((a, b) => a.score - b.score)
+            .slice(0, count);
+        
+        let best = ranked[0];
+        let bestScore = Infinity;
+        for (const entry of ranked) {
+            const total = entry.score + this.threatExposure(entry.spot) * exposureWeight;
+            if (total < bestScore) {
+                bestScore = total;
+                best = entry;
+            }
+        }
+        return best ? best.spot : null;
+    }
+
+    // 0-1: how much of a spot the remembered threats can see, weighted by severity.
+    // Rays go at crouched torso and head height above the spot.
+    threatExposure(spot) {
+        let seen = 0;
+        let total = 0;
+        for (const danger of this.dangerMemory) {
+            const weight = danger.severity ?? 1;
+            const heights = CONFIG.cover.rayHeights;
+            const visible = heights.filter(h => hasLineOfSight(spot, h, danger.pos)).length;
+            seen += weight * visible / heights.length;
+            total += weight;
+        }
+        return total > 0 ? seen / total : 0;
+    }
+
+    // Remembered danger closest to a position (lastDangerPos if there's none)
+    closestDanger(pos) {
+        let closest = this.lastDangerPos;
+        let closestDist = Infinity;
+        for (const danger of this.dangerMemory) {
+            const dist = pos.distanceTo(danger.pos);
+            if (dist < closestDist) {
+                closestDist = dist;
+                closest = danger.pos;
+            }
+        }
+        return closest;
+    }
+
+    // While cowering: if a threat moved or a new one appeared since the last check
+    // and the hiding spot is now in view, run for better cover
+    recheckCover(pos) {
+        const c = CONFIG.cover;
+        if (!this.coverThreats) {
+            this.coverThreats = new Map(this.dangerMemory.map(d => [d, d.pos.clone()]));
+            this.nextCoverCheck = simClock.time + c.recheckInterval;
+            return;
+        }
+        if (simClock.time < this.nextCoverCheck) return;
+        this.nextCoverCheck = simClock.time + c.recheckInterval;
+        
+        const changed = this.dangerMemory.some(danger => {
+            const seenAt = this.coverThreats.get(danger);
+            return !seenAt || seenAt.distanceTo(danger.pos) > c.moveThreshold;
+        });
+        if (!changed) return;
+        this.coverThreats = new Map(this.dangerMemory.map(d => [d, d.pos.clone()]));
+        
+        const feet = pos.clone().setY(pos.y - CONFIG.navigation.agentRadius);
+        const exposure = this.threatExposure(feet);
+        if (exposure <= c.maxExposure) return;
+        
+        const danger = this.closestDanger(pos);
+        const spot = this.getSafeNode(danger, pos);
+        if (!spot || spot.distanceTo(feet) < 1.5 || this.threatExposure(spot) >= exposure) return;
+        
+        console.log(`Cover exposed (${exposure.toFixed(2)}) - moving`);
+        this.status = 'PANIC';
+        this.fleeAfterHide = false;
+        this.targetNode = spot;
+        this.path = null;
+        this.panicTimer = Math.max(this.panicTimer, 4);
+        this.coverDirection.subVectors(spot, danger).normalize();
+    }
+
+    // Safe camera look function - calculates yaw/pitch without flipping
+    safeLookAt(targetPos, smoothing = 0.1) {
+        const camPos = this.camera.position;
+        const dx = targetPos.x - camPos.x;
+        const dy = targetPos.y - camPos.y;
+        const dz = targetPos.z - camPos.z;
+        
+        // Calculate target yaw (horizontal angle)
+        const targetYaw = Math.atan2(dx, dz);
+        
+        // Calculate target pitch (vertical angle) - clamped to prevent flip
+        const horizontalDist = Math.sqrt(dx * dx + dz * dz);
+        const targetPitch = Math.atan2(dy, horizontalDist);
+        const clampedPitch = THREE.MathUtils.clamp(targetPitch, -Math.PI / 3, Math.PI / 3);
+        
+        // Smoothly interpolate to target angles
+        this.yaw = THREE.MathUtils.lerp(this.yaw, targetYaw, smoothing);
+        this.pitch = THREE.MathUtils.lerp(this.pitch, clampedPitch, smoothing);
+    }
+
+    // Apply the camera rotation from yaw/pitch (call after safeLookAt)
+    applyCameraRotation() {
+        // Reset camera rotation
+        this.camera.rotation.set(0, 0, 0);
+        this.camera.rotation.order = 'YXZ'; // Yaw first, then pitch - prevents gimbal lock
+        
+        // Apply yaw (Y) and pitch (X)
+        this.camera.rotation.y = -this.yaw;
+        this.camera.rotation.x = -this.pitch;
+        
+        // Apply shake as roll only
+        const shakeTime = simClock.time;
+        const rollShake = Math.sin(shakeTime * 12) * this.shake * 0.02 
+                        + Math.sin(shakeTime * 17) * this.shake * 0.015;
+        this.camera.rotation.z = rollShake + this.downAmount * 1.2; // Head on its side when lying down
     }
     
-    const shakeTime = clock.getElapsedTime();
-    let lookTarget;
-    
-    // Scan between different danger sources
-    const scanPhase = Math.floor(shakeTime * 0.8) % (npc.dangerMemory.length + 1);
+    // Where the bodycam is - what Perception sees and hears from. The pose at
+    // the last tick, not the one interpolated for rendering (which depends on
+    // the frame rate and would make replays drift).
+    get eye() {
+        return this.camera.userData.tickPose?.position ?? this.camera.position;
+    }
     
-    if (scanPhase < npc.dangerMemory.length && npc.dangerMemory.length > 0) {
-        lookTarget = npc.dangerMemory[scanPhase].pos.clone();
-    } else {
-        lookTarget = npc.lastDangerPos.clone();
+    // Something seen or heard (see Perception.js). Fainter and further away is
+    // less scary; a heard danger is only where they guess it was.
+    perceive(stimulus, { sense, position, strength }) {
+        const scale = THREE.MathUtils.lerp(CONFIG.perception.minSeverityScale, 1, strength);
+        this.reactToThreat({
+            ...stimulus,
+            position,
+            severity: stimulus.severity * scale,
+            source: sense === 'sight' ? stimulus.source : null
+        });
     }
-    lookTarget.y = camera.position.y;
     
-    // Nervous jitter while watching - more intense with more dangers
-    const jitter = 0.1 + npc.dangerMemory.length * 0.05;
-    lookTarget.x += Math.sin(shakeTime * 8) * npc.shake * jitter;
-    lookTarget.z += Math.cos(shakeTime * 9) * npc.shake * jitter;
+    // Physical limits on speed right now: stamina and injuries
+    speedLimit() {
+        return this.vitals.speedScale * this.health.speedScale;
+    }
     
-    // Use safe look
-    safeLookAt(lookTarget, 0.1);
+    // Anything moving that hits us hurts - scored by impulse (impact speed x
+    // reduced mass). Other civilians and the static world don't count.
+    onCollide({ body: other, contact }) {
+        if (other.type === CANNON.Body.STATIC || crowd.some(civilian => civilian.body === other)) return;
+        const lastHit = this.recentHits.get(other);
+        if (lastHit !== undefined && simClock.time - lastHit < CONFIG.injury.rehitTime) return;
+        
+        const speed = Math.abs(contact.getImpactVelocityAlongNormal());
+        const otherMass = other.mass || this.body.mass * 20; // Kinematic bodies count as heavy
+        const impulse = speed * otherMass * this.body.mass / (otherMass + this.body.mass);
+        const damage = this.health.impact(impulse, simClock.time);
+        if (damage <= 0) return;
+        
+        this.recentHits.set(other, simClock.time);
+        eventLog.record('injury', { npc: this.id, impulse, damage, health: this.health.health });
+        console.log(`NPC ${this.id} hit (impulse ${impulse.toFixed(0)}): -${Math.round(damage * 100)}% health, ${this.health.label}`);
+        
+        // Being hit is a threat in its own right (too hurt and they just go down)
+        this.shake = Math.max(this.shake, 2.5);
+        this.reactToThreat({
+            type: 'impact',
+            position: other.position,
+            severity: Math.min(1, 0.6 + damage),
+            source: other
+        });
+    }
     
-    // Shake based on proximity to danger
-    const targetShake = dangerDist < 15 ? 0.8 : 0.5;
-    npc.shake = THREE.MathUtils.lerp(npc.shake, targetShake, dt);
+    goDown() {
+        this.status = 'DOWN';
+        this.targetNode = null;
+        this.path = null;
+        this.fleeAfterHide = false;
+        console.log(`NPC ${this.id} is down (${this.health.label})`);
+    }
     
-    // Decision making - more likely to panic if multiple dangers or close
-    const panicChance = 0.008 + npc.dangerMemory.length * 0.004 + (dangerDist < 12 ? 0.01 : 0);
+    // Legs gone for a moment - carried by the hit, head lolling toward the ground
+    handleStumble(pos, dt) {
+        this.statusLabel = 'STUMBLING';
+        this.body.velocity.x *= 0.97;
+        this.body.velocity.z *= 0.97;
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0.6, dt * 4);
+        
+        const wobble = simClock.time * 5;
+        const lookTarget = new THREE.Vector3(
+            pos.x + Math.sin(this.yaw) * 3 + Math.sin(wobble) * 1.5,
+            this.camera.position.y - 1.5,
+            pos.z + Math.cos(this.yaw) * 3 + Math.cos(wobble * 1.3) * 1.5
+        );
+        this.safeLookAt(lookTarget, 0.15);
+        this.shake = THREE.MathUtils.lerp(this.shake, 2, dt * 3);
+    }
     
-    if (Math.random() < panicChance) {
-        if (Math.random() > 0.35 || dangerDist < 10) {
-            npc.status = 'PANIC';
-            npc.panicTimer = 8 + Math.random() * 4;
-            npc.targetNode = null;
-        } else {
-            npc.status = 'IDLE';
+    // On the ground: still, looking up or toward the danger. Gets up and
+    // runs once a knockdown wears off - unless they're too badly hurt.
+    handleDownState(pos, dt) {
+        this.statusLabel = 'DOWN';
+        this.body.velocity.x *= 0.9;
+        this.body.velocity.z *= 0.9;
+        this.downAmount = THREE.MathUtils.lerp(this.downAmount, 1, dt * 3);
+        this.crouchAmount = THREE.MathUtils.lerp(this.crouchAmount, 0, dt * 3);
+        
+        if (!this.health.isDown) {
+            this.fleeAfterHide = true; // Away from here, not into hiding nearby
+            this.startPanic(this.rng.range(4, 8));
+            return;
         }
-    }
-}
-
-function handleIdleState(pos, dt) {
-    // Update UI - show CAUTIOUS if alert level is high
-    if (window.updateNPCStatus) {
-        window.updateNPCStatus(npc.alertLevel > 0.3 ? 'CAUTIOUS' : 'IDLE');
+        
+        // Drift between the sky and where it came from, slower as they fade
+        const lookUp = Math.sin(simClock.time * 0.3) > 0;
+        const lookTarget = lookUp
+            ? new THREE.Vector3(pos.x + Math.sin(this.yaw) * 2, this.camera.position.y + 5, pos.z + Math.cos(this.yaw) * 2)
+            : new THREE.Vector3(this.lastDangerPos.x, this.camera.position.y, this.lastDangerPos.z);
+        this.safeLookAt(lookTarget, 0.02 * this.health.health + 0.005);
+        this.shake = THREE.MathUtils.lerp(this.shake, 0.4, dt);
     }
     
-    // Decay alert level over time
-    npc.alertLevel = Math.max(0, npc.alertLevel - dt * 0.05);
+    // Start running (or keep running, with a fresh timer). Sometimes with a
+    // scream, which can set off everyone in earshot.
+    startPanic(duration) {
+        const wasPanicking = this.status === 'PANIC';
+        this.status = 'PANIC';
+        this.panicTimer = duration;
+        this.targetNode = null;
+        const screamChance = CONFIG.crowd.screamChance * this.personality.scale('jumpiness', 0.6);
+        if (!wasPanicking && this.rng.next() < screamChance) this.scream();
+    }
     
-    // Clean old danger memories (older than 30 seconds)
-    const now = Date.now();
-    npc.dangerMemory = npc.dangerMemory.filter(d => now - d.time < 30000);
+    scream() {
+        playSound('scream', { object: this.mesh, volume: this.rng.range(0.5, 0.8) });
+        perception.emit({
+            type: 'scream',
+            position: this.body.position,
+            loudness: CONFIG.crowd.screamLoudness,
+            severity: CONFIG.crowd.screamSeverity,
+            emitter: this
+        });
+    }
     
-    // Breathing animation
-    npc.breathingPhase += dt * (1.5 + npc.alertLevel * 2); // Faster when stressed
+    // Anyone in view running in panic is a warning (reacted to once per
+    // person) - the more of them, the stronger. The danger is whatever
+    // they're running from.
+    watchCrowd() {
+        const c = CONFIG.crowd;
+        const fleeing = [];
+        for (const other of crowd) {
+            if (other === this) continue;
+            if (other.status !== 'PANIC') {
+                this.seenFleeing.delete(other);
+                continue;
+            }
+            if (perception.canSee(this, other.body.position, c.sightRange)) fleeing.push(other);
+        }
+        
+        const newlySeen = fleeing.filter(other => !this.seenFleeing.has(other));
+        if (newlySeen.length === 0) return;
+        newlySeen.forEach(other => this.seenFleeing.add(other));
+        
+        this.reactToThreat({
+            type: 'panicSpread',
+            position: newlySeen[0].lastDangerPos,
+            severity: Math.min(1, c.contagion * fleeing.length)
+        });
+    }
     
-    // Stand back up (slower if nervous)
-    const standSpeed = npc.alertLevel > 0.3 ? 1 : 2;
-    npc.crouchAmount = THREE.MathUtils.lerp(npc.crouchAmount, 0, dt * standSpeed);
+    // Status and target changes since the last tick, for the event log
+    logChanges() {
+        if (this.status !== this.loggedStatus) {
+            eventLog.record('state', { npc: this.id, from: this.loggedStatus, to: this.status });
+            this.loggedStatus = this.status;
+        }
+        if (this.targetNode !== this.loggedTarget) {
+            if (this.targetNode) eventLog.record('target', { npc: this.id, position: this.targetNode });
+            this.loggedTarget = this.targetNode;
+        }
+    }
     
-    // Wandering behavior changes with alert level
-    const changeTargetChance = npc.alertLevel > 0.3 ? 0.99 : 0.997;
-    if (!npc.targetNode || Math.random() > changeTargetChance) {
-        // When nervous, stay closer / move less predictably
-        const searchRadius = npc.alertLevel > 0.3 ? 8 : 15;
-        const nearbyNodes = navNodes.filter(n => n.distanceTo(pos) < searchRadius);
+    // Calm enough to do more than wander (checked with watchCrowd): go to
+    // someone who's down, or call in what happened
+    considerOptions() {
+        if (this.status !== 'IDLE' && this.status !== 'CAUTIOUS') return;
+        const b = CONFIG.behaviour;
         
-        // Avoid recent danger zones when picking new targets
-        let safeNodes = nearbyNodes;
-        if (npc.dangerMemory.length > 0) {
-            safeNodes = nearbyNodes.filter(n => {
-                for (const danger of npc.dangerMemory) {
-                    if (n.distanceTo(danger.pos) < 10) return false;
-                }
-                return true;
-            });
+        // Decided once per injured person - the brave go, less so while still on edge
+        for (const other of crowd) {
+            if (other === this || other.status !== 'DOWN' || this.consideredHelping.has(other)) continue;
+            if (!perception.canSee(this, other.body.position, b.helpRange)) continue;
+            this.consideredHelping.add(other);
+            
+            const chance = b.helpChance * this.personality.scale('bravery', 0.8) * (1 - this.alertLevel * 0.6);
+            if (this.rng.next() < chance) {
+                this.startHelping(other);
+                return;
+            }
         }
         
-        npc.targetNode = safeNodes.length > 0 
-            ? safeNodes[Math.floor(Math.random() * safeNodes.length)]
-            : (nearbyNodes.length > 0 
-                ? nearbyNodes[Math.floor(Math.random() * nearbyNodes.length)]
-                : navNodes[Math.floor(Math.random() * navNodes.length)]);
+        // Still shaken by something recent - the more on edge, the likelier to call
+        if (this.canCall() && this.alertLevel > 0.3 && this.rng.next() < b.callChance * 0.1 * this.alertLevel) {
+            this.startCall();
+        }
     }
     
-    const dir = new THREE.Vector3().subVectors(npc.targetNode, pos).normalize();
+    // The danger's behind them: back to normal - or on the phone about it first
+    calmDown() {
+        this.status = 'IDLE';
+        this.fleeAfterHide = false;
+        this.targetNode = null;
+        this.panicTimer = 0;
+        const chance = CONFIG.behaviour.callChance * this.personality.scale('bravery', 0.4);
+        if (this.canCall() && this.rng.next() < chance) this.startCall();
+    }
     
-    // Walking speed varies with nervousness
-    const walkSpeed = npc.alertLevel > 0.5 ? 2.8 : (npc.alertLevel > 0.2 ? 2.2 : 1.8);
-    npc.body.velocity.x = dir.x * walkSpeed;
-    npc.body.velocity.z = dir.z * walkSpeed;
+    // Quiet things draw the curious (the jumpy and the already-rattled less so)
+    wantsToInvestigate() {
+        const p = this.personality;
+        const chance = CONFIG.behaviour.investigateChance * p.scale('curiosity', 0.8) *
+            p.scale('jumpiness', -0.5) * (1 - this.alertLevel * 0.7);
+        return this.rng.next() < chance;
+    }
     
-    const shakeTime = clock.getElapsedTime();
-    let lookTarget;
+    startInvestigating(position) {
+        this.status = 'INVESTIGATING';
+        this.investigateSpot = new THREE.Vector3().copy(position);
+        this.arrived = false;
+        this.targetNode = null;
+        this.stateTimer = this.rng.range(12, 18); // Gives up if it can't get there
+    }
     
-    // Nervous looking around behavior
-    const timeSinceLastLook = shakeTime - npc.lastLookAroundTime;
-    const lookAroundInterval = npc.alertLevel > 0.3 ? 2 : 5;
+    // Too sudden to run yet - freeze first, panic after (the brave snap out sooner)
+    freeze(panicDuration) {
+        this.status = 'FROZEN';
+        this.targetNode = null;
+        this.stateTimer = this.rng.range(0.8, 2.5) * this.personality.scale('bravery', -0.5);
+        this.panicAfterFreeze = panicDuration;
+    }
     
-    if (timeSinceLastLook > lookAroundInterval && Math.random() > 0.95) {
-        npc.lastLookAroundTime = shakeTime;
-        
-        // Look at a remembered danger location or random direction
-        if (npc.dangerMemory.length > 0 && Math.random() > 0.4) {
-            const danger = npc.dangerMemory[Math.floor(Math.random() * npc.dangerMemory.length)];
-            lookTarget = danger.pos.clone();
-            lookTarget.y = camera.position.y;
-        } else {
-            // Random nervous glance
-            const glanceAngle = Math.random() * Math.PI * 2;
-            lookTarget = new THREE.Vector3(
-                pos.x + Math.cos(glanceAngle) * 10,
-                camera.position.y + (Math.random() - 0.5) * 0.5,
-                pos.z + Math.sin(glanceAngle) * 10
-            );
-        }
+    // Something to report, and not just off the phone
+    canCall() {
+        return this.dangerMemory.length > 0 && simClock.time - this.lastCallTime > CONFIG.behaviour.callCooldown;
+    }
+    
+    startCall() {
+        this.status = 'PHONE';
+        this.targetNode = null;
+        this.callTime = 0;
+        this.stateTimer = this.rng.range(8, 15);
+        console.log(`NPC ${this.id} calling 911`);
+    }
+    
+    startHelping(patient) {
+        this.status = 'HELPING';
+        this.patient = patient;
+        this.arrived = false;
+        this.targetNode = null;
+        this.stateTimer = 30; // Gives up if it can't get there
+        console.log(`NPC ${this.id} going to help NPC ${patient.id}`);
+    }
+}
+
+// Phone held up in front of a bodycam (shown during a call) - the screen glows
+function createPhoneMesh() {
+    const phone = new THREE.Group();
+    const body = new THREE.Mesh(
+        new THREE.BoxGeometry(0.07, 0.14, 0.008),
+        new THREE.MeshStandardMaterial({ color: 0x111114, roughness: 0.4 })
+    );
+    const screen = new THREE.Mesh(
+        new THREE.PlaneGeometry(0.062, 0.125),
+        new THREE.MeshBasicMaterial({ color: 0x9fd4ff })
+    );
+    screen.position.z = 0.0045;
+    phone.add(body, screen);
+    phone.position.set(0.05, -0.11, -0.3);
+    phone.rotation.x = -0.4; // Screen tilted up toward the face
+    phone.visible = false;
+    return phone;
+}
+
+// Civilian figure with its origin at the feet - capsule stand-in if the model is missing
+function createCivilianMesh(modelKey) {
+    const figure = new THREE.Group();
+    figure.rotation.order = 'YXZ'; // Turn, then tip over when down
+    const model = cloneModel(modelKey);
+    if (model) {
+        figure.add(model);
     } else {
-        // Normal forward-looking with breathing sway
-        const breathSway = Math.sin(npc.breathingPhase) * 0.1 * (1 + npc.alertLevel);
-        lookTarget = new THREE.Vector3(
-            npc.targetNode.x + Math.sin(shakeTime * 3) * npc.shake * 0.2 + breathSway,
-            camera.position.y + 0.3 + Math.sin(npc.breathingPhase * 0.5) * 0.05,
-            npc.targetNode.z + Math.cos(shakeTime * 3.5) * npc.shake * 0.2
+        const body = new THREE.Mesh(
+            new THREE.CapsuleGeometry(0.3, 1.1, 4, 8),
+            new THREE.MeshStandardMaterial({ color: 0x3a3a44, roughness: 0.8 })
         );
+        body.position.y = 0.85;
+        body.castShadow = true;
+        figure.add(body);
     }
-    
-    // Smoothing varies - faster head movement when nervous
-    const lookSpeed = npc.alertLevel > 0.3 ? 0.08 : 0.05;
-    safeLookAt(lookTarget, lookSpeed);
-    
-    // Shake increases with nervousness
-    const targetShake = 0.15 + npc.alertLevel * 0.4;
-    npc.shake = THREE.MathUtils.lerp(npc.shake, targetShake, dt);
+    return figure;
 }
 
-// --- CHAOS DIRECTOR ---
-function scheduleNextEvent() {
-    const [min, max] = CONFIG.chaosInterval;
-    // Events come faster when NPC is already stressed
-    const stressMod = 1 - (npc.alertLevel * 0.3);
-    const delay = (Math.random() * (max - min) + min) * stressMod;
+// --- CHAOS EVENTS ---
+// Random chaos is paced by the ChaosDirector (see ChaosDirector.js)
+
+// Spawn one event by id. Used by the director and scenario timelines
+// (scripted events ignore cooldowns).
+// opts: { position (THREE.Vector3), intensity (1 = normal) } - both optional.
+// Returns where it happened, if anywhere.
+function runChaosEvent(type, opts = {}) {
+    const event = chaosRegistry.get(type);
+    if (!event) {
+        console.warn(`Unknown chaos event: ${type}`);
+        return;
+    }
     
-    setTimeout(() => {
-        triggerChaos();
-        scheduleNextEvent();
-        
-        // Chaos chain - sometimes events come in rapid succession
-        if (Math.random() < CONFIG.chaosChainChance) {
-            setTimeout(() => triggerChaos(), 800 + Math.random() * 1500);
-            if (Math.random() < 0.3) {
-                setTimeout(() => triggerChaos(), 2000 + Math.random() * 2000);
-            }
+    const result = event.spawn(chaosContext, opts);
+    chaosRegistry.markFired(type, simClock.time);
+    
+    // The event is a stimulus built from the declared threat; spawn() says where
+    // it is (returning nothing means the event didn't happen, e.g. no heli light).
+    // Who notices it, and how, is up to Perception.
+    if (event.threat && result !== null && result !== undefined) {
+        const position = result.position || event.threat.position;
+        if (position) {
+            const severity = (result.severity ?? event.threat.severity) * (opts.intensity ?? 1);
+            emitStimulus({ type, ...event.threat, ...result, position, severity });
         }
-    }, delay);
-}
-
-function triggerChaos() {
-    const eventType = Math.random();
-    
-    if (eventType < 0.20) {
-        spawnFlyingCar();
-    } else if (eventType < 0.35) {
-        spawnExplosion();
-    } else if (eventType < 0.50) {
-        spawnFallingDebris();
-    } else if (eventType < 0.60) {
-        activateHelicopterSearch();
-    } else if (eventType < 0.72) {
-        spawnGunshots();
-    } else if (eventType < 0.82) {
-        spawnScreaming();
-    } else if (eventType < 0.92) {
-        spawnCarCrash();
-    } else {
-        spawnRunningPerson();
     }
     
     // Track danger in NPC memory
-    npc.recentDangerCount++;
-    setTimeout(() => npc.recentDangerCount = Math.max(0, npc.recentDangerCount - 1), 10000);
+    for (const civilian of crowd) {
+        civilian.recentDangerCount++;
+        simClock.after(10, () => civilian.recentDangerCount = Math.max(0, civilian.recentDangerCount - 1));
+    }
     
-    console.log("CHAOS EVENT TRIGGERED");
+    const position = result?.position ?? opts.position;
+    eventLog.record('chaos', {
+        id: type,
+        position,
+        intensity: opts.intensity,
+        spawned: result !== null && result !== undefined
+    });
+    if (CONFIG.recording.autoRecordChaos) recordChaos();
+    console.log(`CHAOS EVENT TRIGGERED: ${type}`);
+    return position;
+}
+
+// Built-in events. Weights are the share of random picks.
+function registerBuiltInChaosEvents() {
+    registerChaosEvent({
+        id: 'flyingCar',
+        weight: 0.20,
+        spawn: spawnFlyingCar,
+        threat: { severity: 0.8, loudness: 0.7, visibleFor: 4 }
+    });
+    registerChaosEvent({
+        id: 'explosion',
+        weight: 0.15,
+        spawn: spawnExplosion,
+        threat: { severity: 0.9, loudness: 1, visibleFor: 6 }
+    });
+    registerChaosEvent({
+        id: 'fallingDebris',
+        weight: 0.15,
+        spawn: spawnFallingDebris,
+        // Look up first, then run
+        threat: { severity: 0.7, response: 'look', escalateAfter: 1, escalateChance: 1, duration: 8, loudness: 0.5, visibleFor: 3 }
+    });
+    registerChaosEvent({
+        id: 'helicopter',
+        weight: 0.10,
+        cooldown: 10, // One searchlight - don't start a second sweep over the first
+        spawn: activateHelicopterSearch,
+        threat: { severity: 0.3, loudness: 0.9, visibleFor: 10 }
+    });
+    registerChaosEvent({
+        id: 'gunshots',
+        weight: 0.12,
+        spawn: spawnGunshots,
+        threat: { severity: 0.8, loudness: 1, visibleFor: 0.5 } // Heard far more often than seen
+    });
+    registerChaosEvent({
+        id: 'screaming',
+        weight: 0.10,
+        spawn: spawnScreaming,
+        threat: { severity: 0.5, escalateChance: 0.6, duration: 8, loudness: 0.3, visibleFor: 2 }
+    });
+    registerChaosEvent({
+        id: 'carCrash',
+        weight: 0.10,
+        spawn: spawnCarCrash,
+        threat: { severity: 1, loudness: 0.9, visibleFor: 6 }
+    });
+    registerChaosEvent({
+        id: 'runner',
+        weight: 0.08,
+        spawn: spawnRunningPerson,
+        threat: { severity: 0.3, escalateAfter: 1, escalateChance: 0.4, duration: 5, loudness: 0.1, visibleFor: 6 }
+    });
+}
+
+// Load CONFIG.chaosModules in order, so registration order (and random picks) are stable
+async function loadChaosModules() {
+    for (const path of CONFIG.chaosModules) {
+        try {
+            await import(path);
+            console.log(`Chaos module loaded: ${path}`);
+        } catch (e) {
+            console.error(`Chaos module failed to load: ${path} - ${e.message}`);
+        }
+    }
+}
+
+// Fade a flash light out over simulation time, then remove it.
+// decay is the per-frame factor at 60fps, so flashes look the same at any frame rate.
+function fadeOutFlash(flash, decay) {
+    simClock.addTask((dt) => {
+        flash.intensity *= Math.pow(decay, dt * 60);
+        if (flash.intensity > 0.1) return true;
+        scene.remove(flash);
+        return false;
+    });
 }
 
-function spawnFlyingCar() {
+function spawnFlyingCar(ctx, opts = {}) {
+    const intensity = opts.intensity ?? 1;
     const carSize = new CANNON.Vec3(1, 0.7, 2);
     const carShape = new CANNON.Box(carSize);
     const carBody = new CANNON.Body({ mass: 1500, shape: carShape });
     
-    // Spawn from one end of street
-    const startZ = Math.random() > 0.5 ? -40 : 40;
-    const direction = startZ > 0 ? -1 : 1;
-    
-    carBody.position.set(
-        (Math.random() - 0.5) * 6,
-        0.7 + Math.random() * 2,
-        startZ
-    );
+    // Spawn from one end of street (or the given start point, flying toward z = 0)
+    if (opts.position) {
+        carBody.position.set(opts.position.x, opts.position.y, opts.position.z);
+    } else {
+        const startZ = rng.chaos.next() > 0.5 ? -40 : 40;
+        carBody.position.set(
+            rng.chaos.spread(6),
+            rng.chaos.range(0.7, 2.7),
+            startZ
+        );
+    }
+    const direction = carBody.position.z > 0 ? -1 : 1;
     
     // Flying velocity
     carBody.velocity.set(
-        (Math.random() - 0.5) * 10,
-        5 + Math.random() * 8,
-        direction * (30 + Math.random() * 20)
+        rng.chaos.spread(10),
+        rng.chaos.range(5, 13),
+        direction * rng.chaos.range(30, 50) * intensity
     );
     
     // Tumbling
     carBody.angularVelocity.set(
-        Math.random() * 5,
-        Math.random() * 3,
-        Math.random() * 5
+        rng.chaos.range(0, 5),
+        rng.chaos.range(0, 3),
+        rng.chaos.range(0, 5)
     );
     
     // Visual - use GLB model if available, fallback to procedural
@@ -1508,104 +3085,94 @@ function spawnFlyingCar() {
         roughness: 0.3
     });
     
-    registerPhysicsObjectWithModel(carBody, 'flyingCar', carGeo, carMat, 8000);
+    const carMesh = registerPhysicsObjectWithModel(carBody, 'flyingCar', carGeo, carMat, 8);
     
-    // Play car crash sound
-    playSound('carCrash', 0.8);
+    // Play car crash sound (follows the car)
+    playSound('carCrash', { object: carMesh, volume: 0.8 });
     
-    // NPC reacts
-    npc.lastDangerPos.set(carBody.position.x, carBody.position.y, carBody.position.z);
-    npc.status = 'PANIC';
-    npc.panicTimer = 10;
-    npc.targetNode = null;
+    return { position: new THREE.Vector3().copy(carBody.position), source: carBody };
 }
 
-function spawnExplosion() {
-    const pos = new THREE.Vector3(
-        (Math.random() - 0.5) * CONFIG.streetWidth,
+function spawnExplosion(ctx, opts = {}) {
+    const intensity = opts.intensity ?? 1;
+    const pos = opts.position ? opts.position.clone() : new THREE.Vector3(
+        rng.chaos.spread(CONFIG.proceduralSettings.streetWidth),
         0,
-        (Math.random() - 0.5) * 30
+        rng.chaos.spread(30)
     );
     
     // Play explosion sound
-    playSound('explosion', 1.0);
+    playSound('explosion', { position: pos, volume: Math.min(1.5, intensity) });
     
     // Spawn multiple debris pieces
-    for (let i = 0; i < 8; i++) {
-        const size = 0.3 + Math.random() * 0.5;
+    const pieces = Math.max(1, Math.round(8 * intensity));
+    for (let i = 0; i < pieces; i++) {
+        const size = rng.chaos.range(0.3, 0.8);
     const shape = new CANNON.Box(new CANNON.Vec3(size, size, size));
-        const body = new CANNON.Body({ mass: 20 + Math.random() * 30, shape });
+        const body = new CANNON.Body({ mass: rng.chaos.range(20, 50), shape });
         
         body.position.set(
-            pos.x + (Math.random() - 0.5) * 2,
+            pos.x + rng.chaos.spread(2),
             0.5,
-            pos.z + (Math.random() - 0.5) * 2
+            pos.z + rng.chaos.spread(2)
         );
         
         // Explosion force
         body.velocity.set(
-            (Math.random() - 0.5) * 20,
-            10 + Math.random() * 15,
-            (Math.random() - 0.5) * 20
+            rng.chaos.spread(20) * intensity,
+            rng.chaos.range(10, 25) * intensity,
+            rng.chaos.spread(20) * intensity
         );
         
         body.angularVelocity.set(
-            Math.random() * 10,
-            Math.random() * 10,
-            Math.random() * 10
+            rng.chaos.range(0, 10),
+            rng.chaos.range(0, 10),
+            rng.chaos.range(0, 10)
         );
         
         const geo = new THREE.BoxGeometry(size * 2, size * 2, size * 2);
         const colors = [0xff4400, 0xff6600, 0x333333, 0x222222];
         const mat = new THREE.MeshStandardMaterial({ 
-            color: colors[Math.floor(Math.random() * colors.length)],
-            emissive: Math.random() > 0.5 ? 0x331100 : 0x000000
+            color: rng.chaos.pick(colors),
+            emissive: rng.chaos.next() > 0.5 ? 0x331100 : 0x000000
         });
         
-        registerPhysicsObjectWithModel(body, 'explosionDebris', geo, mat, 6000, 0.5 + Math.random() * 0.5);
+        registerPhysicsObjectWithModel(body, 'explosionDebris', geo, mat, 6, rng.chaos.range(0.5, 1));
     }
     
     // Flash effect
-    const flash = new THREE.PointLight(0xff6600, 50, 30);
+    const flash = new THREE.PointLight(0xff6600, 50 * intensity, 30);
     flash.position.copy(pos);
     flash.position.y = 2;
     scene.add(flash);
     
     // Fade out flash
-    const fadeFlash = () => {
-        flash.intensity *= 0.85;
-        if (flash.intensity > 0.1) {
-            requestAnimationFrame(fadeFlash);
-        } else {
-            scene.remove(flash);
-        }
-    };
-    fadeFlash();
+    fadeOutFlash(flash, 0.85);
     
-    // NPC reacts
-    npc.lastDangerPos.copy(pos);
-    npc.status = 'PANIC';
-    npc.panicTimer = 12;
-    npc.targetNode = null;
+    return { position: pos };
 }
 
-function spawnFallingDebris() {
-    const count = 3 + Math.floor(Math.random() * 4);
+function spawnFallingDebris(ctx, opts = {}) {
+    const intensity = opts.intensity ?? 1;
+    const count = Math.max(1, Math.round(rng.chaos.int(3, 6) * intensity));
+    // Rains down around where the followed civilian is now, unless the scenario
+    // picks a spot - fixed, so the logged position is the one the debris uses
+    const center = new THREE.Vector3().copy(opts.position || directorFocus.body.position);
     
     for (let i = 0; i < count; i++) {
-        setTimeout(() => {
-            const size = 0.5 + Math.random() * 1.5;
+        simClock.after(i * 0.3, () => {
+            const size = rng.chaos.range(0.5, 2);
             const shape = new CANNON.Box(new CANNON.Vec3(size / 2, size / 2, size / 2));
-            const body = new CANNON.Body({ mass: 50 + Math.random() * 100, shape });
+            const body = new CANNON.Body({ mass: rng.chaos.range(50, 150), shape });
             
-            const spawnX = npc.body.position.x + (Math.random() - 0.5) * 15;
-            const spawnZ = npc.body.position.z + (Math.random() - 0.5) * 15;
-            body.position.set(spawnX, 20 + Math.random() * 10, spawnZ);
+            const spawnX = center.x + rng.chaos.spread(15);
+            const spawnZ = center.z + rng.chaos.spread(15);
+            body.position.set(spawnX, rng.chaos.range(20, 30), spawnZ);
             
             body.angularVelocity.set(
-                Math.random() * 3,
-                Math.random() * 3,
-                Math.random() * 3
+                rng.chaos.range(0, 3),
+                rng.chaos.range(0, 3),
+                rng.chaos.range(0, 3)
             );
             
             const geo = new THREE.BoxGeometry(size, size, size);
@@ -1614,246 +3181,203 @@ function spawnFallingDebris() {
                 roughness: 0.9
             });
             
-            registerPhysicsObjectWithModel(body, 'debris', geo, mat, 8000, size * 0.5);
+            const debrisMesh = registerPhysicsObjectWithModel(body, 'debris', geo, mat, 8, size * 0.5);
             
             // Play debris sound when spawned
-            playSound('debris', 0.5 + Math.random() * 0.3);
-        }, i * 300);
+            playSound('debris', { object: debrisMesh, volume: rng.chaos.range(0.5, 0.8) });
+        });
     }
     
-    // NPC reaction - look up first, then panic
-    npc.lastDangerPos.set(npc.body.position.x, 20, npc.body.position.z);
-    npc.status = 'LOOKING';
-    
-    setTimeout(() => {
-        if (npc.status === 'LOOKING') {
-            npc.status = 'PANIC';
-            npc.panicTimer = 8;
-            npc.targetNode = null;
-        }
-    }, 1000);
+    // The danger is overhead
+    return { position: new THREE.Vector3(center.x, 20, center.z) };
 }
 
-function activateHelicopterSearch() {
+function activateHelicopterSearch(ctx, opts = {}) {
     const heliLight = scene.getObjectByName('heliLight');
     if (!heliLight) return;
     
+    // Sweeps a circle around the street center (or the given point)
+    const center = opts.position ? opts.position.clone().setY(0) : new THREE.Vector3();
+    const duration = 8 * (opts.intensity ?? 1);
+    
     heliLight.intensity = 100;
     
     // Play helicopter sound (looped)
-    const heliSound = playSound('helicopter', 0.6, true);
+    const heliSound = playSound('helicopter', { object: heliLight, volume: 0.6, loop: true });
     
     // Sweep the searchlight
     let angle = 0;
     const radius = 15;
-    const sweep = setInterval(() => {
-        angle += 0.05;
+    const sweep = simClock.addTask((dt) => {
+        angle += dt; // ~1 rad/s
         heliLight.target.position.set(
-            Math.sin(angle) * radius,
+            center.x + Math.sin(angle) * radius,
             0,
-            Math.cos(angle) * radius
+            center.z + Math.cos(angle) * radius
         );
         
-        // Check if light is near NPC
-        const npcPos = new THREE.Vector3(npc.body.position.x, 0, npc.body.position.z);
+        // Check if light is near anyone
         const lightPos = heliLight.target.position;
-        
-        if (npcPos.distanceTo(lightPos) < 5 && npc.status === 'IDLE') {
-            npc.status = 'COWERING';
-            npc.panicTimer = 3;
-            npc.lastDangerPos.copy(lightPos);
-            
-            // Calculate cover direction (away from the light)
-            npc.coverDirection.subVectors(npcPos, lightPos).normalize();
+        for (const civilian of crowd) {
+            const civilianPos = new THREE.Vector3(civilian.body.position.x, 0, civilian.body.position.z);
+            if (civilianPos.distanceTo(lightPos) < 5 && NPC_STATE_GROUPS.calm.includes(civilian.status)) {
+                // Caught in the beam - cower away from the light
+                civilian.reactToThreat({
+                    type: 'helicopter',
+                    position: lightPos,
+                    source: heliLight.target,
+                    severity: 0.3,
+                    response: 'cower',
+                    duration: 3
+                });
+            }
         }
-    }, 50);
+    });
     
     // Turn off after duration
-    setTimeout(() => {
-        clearInterval(sweep);
+    simClock.after(duration, () => {
+        simClock.cancel(sweep);
         heliLight.intensity = 0;
         stopSound(heliSound);
-    }, 8000);
+    });
     
-    npc.status = 'LOOKING';
-    npc.lastDangerPos.set(0, 0, 0);
+    return { position: center };
 }
 
-function spawnGunshots() {
-    // Muzzle flashes from a random direction
-    const angle = Math.random() * Math.PI * 2;
-    const distance = 15 + Math.random() * 20;
-    const shotPos = new THREE.Vector3(
-        npc.body.position.x + Math.cos(angle) * distance,
-        1 + Math.random() * 2,
-        npc.body.position.z + Math.sin(angle) * distance
-    );
+function spawnGunshots(ctx, opts = {}) {
+    const intensity = opts.intensity ?? 1;
+    let shotPos;
+    if (opts.position) {
+        shotPos = opts.position.clone();
+    } else {
+        // Muzzle flashes from a random direction
+        const angle = rng.chaos.next() * Math.PI * 2;
+        const distance = rng.chaos.range(15, 35);
+        shotPos = new THREE.Vector3(
+            directorFocus.body.position.x + Math.cos(angle) * distance,
+            rng.chaos.range(1, 3),
+            directorFocus.body.position.z + Math.sin(angle) * distance
+        );
+    }
     
-    const shotCount = 3 + Math.floor(Math.random() * 5);
+    const shotCount = Math.max(1, Math.round(rng.chaos.int(3, 7) * intensity));
     
     for (let i = 0; i < shotCount; i++) {
-        setTimeout(() => {
+        simClock.after(i * rng.chaos.range(0.1, 0.25), () => {
             // Muzzle flash light
             const flash = new THREE.PointLight(0xffaa00, 30, 15);
             flash.position.copy(shotPos);
-            flash.position.x += (Math.random() - 0.5) * 2;
-            flash.position.z += (Math.random() - 0.5) * 2;
+            flash.position.x += rng.chaos.spread(2);
+            flash.position.z += rng.chaos.spread(2);
             scene.add(flash);
             
             // Optional: Add muzzle flash model
-            const muzzleModel = loadedModels['muzzleFlash'];
-            if (muzzleModel) {
-                const muzzle = muzzleModel.clone();
+            const muzzle = cloneModel('muzzleFlash');
+            if (muzzle) {
                 muzzle.position.copy(flash.position);
                 muzzle.scale.setScalar(0.5);
                 scene.add(muzzle);
-                setTimeout(() => scene.remove(muzzle), 50);
+                simClock.after(0.05, () => scene.remove(muzzle));
             }
             
             // Play gunshot sound
-            playSound('gunshot', 0.7 + Math.random() * 0.3);
+            playSound('gunshot', { position: flash.position, volume: rng.chaos.range(0.7, 1) });
             
-            setTimeout(() => scene.remove(flash), 50 + Math.random() * 50);
-        }, i * (100 + Math.random() * 150));
-    }
-    
-    // NPC immediately ducks and panics
-    npc.lastDangerPos.copy(shotPos);
-    npc.alertLevel = Math.min(1, npc.alertLevel + 0.4);
-    
-    // Play gasp sound
-    playSound('gasp', 0.6);
-    
-    if (npc.status === 'IDLE' || npc.status === 'CAUTIOUS') {
-        npc.status = 'PANIC';
-        npc.panicTimer = 8 + Math.random() * 6;
-        npc.targetNode = null;
-    } else if (npc.status === 'COWERING') {
-        // Stay down longer if already hiding
-        npc.panicTimer += 4;
+            simClock.after(rng.chaos.range(0.05, 0.1), () => scene.remove(flash));
+        });
     }
     
-    // Add to danger memory
-    npc.dangerMemory.push({ pos: shotPos.clone(), time: Date.now(), type: 'gunshots' });
-    if (npc.dangerMemory.length > 5) npc.dangerMemory.shift();
+    return { position: shotPos };
 }
 
-function spawnScreaming() {
-    // Someone screaming nearby - NPC looks around nervously
-    const angle = Math.random() * Math.PI * 2;
-    const distance = 8 + Math.random() * 15;
-    const screamPos = new THREE.Vector3(
-        npc.body.position.x + Math.cos(angle) * distance,
-        1,
-        npc.body.position.z + Math.sin(angle) * distance
-    );
+function spawnScreaming(ctx, opts = {}) {
+    const intensity = opts.intensity ?? 1;
+    let screamPos;
+    if (opts.position) {
+        screamPos = opts.position.clone();
+    } else {
+        // Someone screaming nearby - NPC looks around nervously
+        const angle = rng.chaos.next() * Math.PI * 2;
+        const distance = rng.chaos.range(8, 23);
+        screamPos = new THREE.Vector3(
+            directorFocus.body.position.x + Math.cos(angle) * distance,
+            1,
+            directorFocus.body.position.z + Math.sin(angle) * distance
+        );
+    }
     
     // Play scream sound
-    playSound('scream', 0.7 + Math.random() * 0.3);
-    
-    npc.lastDangerPos.copy(screamPos);
-    npc.alertLevel = Math.min(1, npc.alertLevel + 0.25);
-    
-    if (npc.status === 'IDLE') {
-        // Look toward the scream, might panic
-        npc.status = 'LOOKING';
-        npc.panicTimer = 3;
-        
-        setTimeout(() => {
-            if (npc.status === 'LOOKING' && Math.random() > 0.4) {
-                npc.status = 'PANIC';
-                npc.panicTimer = 6 + Math.random() * 4;
-                npc.targetNode = null;
-            }
-        }, 1500);
-    }
+    playSound('scream', { position: screamPos, volume: rng.chaos.range(0.7, 1) * intensity });
     
-    npc.dangerMemory.push({ pos: screamPos.clone(), time: Date.now(), type: 'scream' });
-    if (npc.dangerMemory.length > 5) npc.dangerMemory.shift();
+    return { position: screamPos };
 }
 
-function spawnCarCrash() {
+function spawnCarCrash(ctx, opts = {}) {
+    const intensity = opts.intensity ?? 1;
     // Two cars colliding on the street
-    const crashZ = (Math.random() - 0.5) * 40;
-    const crashPos = new THREE.Vector3(0, 0.5, crashZ);
+    const crashPos = opts.position
+        ? opts.position.clone()
+        : new THREE.Vector3(0, 0.5, rng.chaos.spread(40));
     
     // Play car crash sound
-    playSound('carCrash', 1.0);
+    playSound('carCrash', { position: crashPos, volume: Math.min(1.5, intensity) });
     
     // Spawn crashed car debris
-    for (let i = 0; i < 6; i++) {
-        const size = 0.4 + Math.random() * 0.8;
+    const pieces = Math.max(1, Math.round(6 * intensity));
+    for (let i = 0; i < pieces; i++) {
+        const size = rng.chaos.range(0.4, 1.2);
         const shape = new CANNON.Box(new CANNON.Vec3(size, size * 0.5, size));
-        const body = new CANNON.Body({ mass: 100 + Math.random() * 200, shape });
+        const body = new CANNON.Body({ mass: rng.chaos.range(100, 300), shape });
         
         body.position.set(
-            crashPos.x + (Math.random() - 0.5) * 4,
-            0.5 + Math.random(),
-            crashPos.z + (Math.random() - 0.5) * 4
+            crashPos.x + rng.chaos.spread(4),
+            0.5 + rng.chaos.next(),
+            crashPos.z + rng.chaos.spread(4)
         );
         
         body.velocity.set(
-            (Math.random() - 0.5) * 15,
-            3 + Math.random() * 8,
-            (Math.random() - 0.5) * 15
+            rng.chaos.spread(15) * intensity,
+            rng.chaos.range(3, 11) * intensity,
+            rng.chaos.spread(15) * intensity
         );
         
         body.angularVelocity.set(
-            Math.random() * 8,
-            Math.random() * 8,
-            Math.random() * 8
+            rng.chaos.range(0, 8),
+            rng.chaos.range(0, 8),
+            rng.chaos.range(0, 8)
         );
         
         const geo = new THREE.BoxGeometry(size * 2, size, size * 2);
         const colors = [0x222222, 0x333344, 0x880000, 0x004488];
         const mat = new THREE.MeshStandardMaterial({ 
-            color: colors[Math.floor(Math.random() * colors.length)],
+            color: rng.chaos.pick(colors),
             metalness: 0.7,
             roughness: 0.4
         });
         
-        registerPhysicsObjectWithModel(body, 'crashedCar', geo, mat, 10000, size);
+        registerPhysicsObjectWithModel(body, 'crashedCar', geo, mat, 10, size);
     }
     
     // Bright flash from impact
-    const flash = new THREE.PointLight(0xffffaa, 80, 40);
+    const flash = new THREE.PointLight(0xffffaa, 80 * intensity, 40);
     flash.position.copy(crashPos);
     flash.position.y = 2;
     scene.add(flash);
     
-    const fadeFlash = () => {
-        flash.intensity *= 0.8;
-        if (flash.intensity > 0.1) {
-            requestAnimationFrame(fadeFlash);
-        } else {
-            scene.remove(flash);
-        }
-    };
-    fadeFlash();
+    fadeOutFlash(flash, 0.8);
     
-    // NPC reacts strongly
-    npc.lastDangerPos.copy(crashPos);
-    npc.alertLevel = Math.min(1, npc.alertLevel + 0.5);
-    npc.status = 'PANIC';
-    npc.panicTimer = 10 + Math.random() * 5;
-    npc.targetNode = null;
-    
-    npc.dangerMemory.push({ pos: crashPos.clone(), time: Date.now(), type: 'crash' });
-    if (npc.dangerMemory.length > 5) npc.dangerMemory.shift();
+    return { position: crashPos };
 }
 
-function spawnRunningPerson() {
-    // Someone running past - makes NPC nervous
-    const startSide = Math.random() > 0.5 ? -1 : 1;
-    const runnerZ = npc.body.position.z + (Math.random() - 0.5) * 20;
+function spawnRunningPerson(ctx, opts = {}) {
+    // Someone running past - makes NPC nervous.
+    // With a position they cross the street at its z, starting from its x side.
+    const startSide = opts.position ? (Math.sign(opts.position.x) || 1) : rng.chaos.sign();
+    const runnerZ = opts.position ? opts.position.z : directorFocus.body.position.z + rng.chaos.spread(20);
     
     // Visual: Use GLB model if available, fallback to capsule
-    let runner;
-    const runnerModel = loadedModels['npcRunner'];
-    if (runnerModel) {
-        runner = runnerModel.clone();
-        runner.scale.setScalar(1);
-    } else {
+    let runner = cloneModel('npcRunner');
+    if (!runner) {
         const runnerGeo = new THREE.CapsuleGeometry(0.3, 1.2, 4, 8);
         const runnerMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
         runner = new THREE.Mesh(runnerGeo, runnerMat);
@@ -1863,99 +3387,81 @@ function spawnRunningPerson() {
     scene.add(runner);
     
     // Play footsteps sound
-    const footstepsSound = playSound('footsteps', 0.4, true);
+    const footstepsSound = playSound('footsteps', { object: runner, volume: 0.4, loop: true });
     
-    const runSpeed = 12 + Math.random() * 5;
+    const runSpeed = rng.chaos.range(12, 17) * (opts.intensity ?? 1);
     const direction = -startSide;
     
-    const animateRunner = () => {
-        runner.position.x += direction * runSpeed * 0.016;
-        runner.position.y = 1 + Math.sin(Date.now() * 0.02) * 0.1; // Bobbing
+    simClock.addTask((dt, time) => {
+        runner.position.x += direction * runSpeed * dt;
+        runner.position.y = 1 + Math.sin(time * 20) * 0.1; // Bobbing
         runner.rotation.y = direction > 0 ? Math.PI / 2 : -Math.PI / 2;
         
-        if (Math.abs(runner.position.x) < 30) {
-            requestAnimationFrame(animateRunner);
-        } else {
-            scene.remove(runner);
-            stopSound(footstepsSound);
-        }
-    };
-    animateRunner();
-    
-    // NPC notices and gets nervous
-    const runnerPos = new THREE.Vector3(0, 1, runnerZ);
-    npc.lastDangerPos.copy(runnerPos);
-    npc.alertLevel = Math.min(1, npc.alertLevel + 0.15);
-    
-    if (npc.status === 'IDLE') {
-        npc.status = 'LOOKING';
-        npc.panicTimer = 2;
-        
-        // Might start running too
-        setTimeout(() => {
-            if (npc.status === 'LOOKING' && Math.random() > 0.6) {
-                npc.status = 'PANIC';
-                npc.panicTimer = 5;
-                npc.targetNode = null;
-            }
-        }, 1000);
-    }
+        if (Math.abs(runner.position.x) < 30) return true;
+        
+        scene.remove(runner);
+        stopSound(footstepsSound);
+        return false;
+    });
+    
+    // NPC notices and gets nervous (might start running too)
+    return { position: new THREE.Vector3(0, 1, runnerZ), source: runner };
 }
 
 // --- PHYSICS OBJECT MANAGEMENT ---
 
 // Register physics object with optional GLB model support
-function registerPhysicsObjectWithModel(body, modelKey, fallbackGeo, fallbackMat, lifetime = 10000, modelScale = 1) {
+// lifetime is in seconds of simulation time. Returns the visual mesh (e.g. to attach sounds).
+function registerPhysicsObjectWithModel(body, modelKey, fallbackGeo, fallbackMat, lifetime = 10, modelScale = 1) {
     world.addBody(body);
+    resetInterpolation(body);
     
     // Try to use loaded GLB model, fallback to procedural mesh
-    const model = loadedModels[modelKey];
-    let mesh;
+    let mesh = cloneModel(modelKey);
     
-    if (model) {
-        mesh = model.clone();
+    if (mesh) {
         mesh.scale.setScalar(modelScale);
-        mesh.traverse(child => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-            }
-        });
     } else {
         mesh = new THREE.Mesh(fallbackGeo, fallbackMat);
         mesh.castShadow = true;
         mesh.receiveShadow = true;
     }
     
+    mesh.position.copy(body.position);
+    mesh.quaternion.copy(body.quaternion);
     scene.add(mesh);
     
-    const index = physicsBodies.length;
     physicsBodies.push(body);
     physicsMeshes.push(mesh);
     
-    // Cleanup after lifetime
-    setTimeout(() => {
+    // Cleanup after lifetime (look the index up again - the arrays get compacted)
+    simClock.after(lifetime, () => {
         world.removeBody(body);
         scene.remove(mesh);
-        physicsBodies[index] = null;
-        physicsMeshes[index] = null;
-    }, lifetime);
+        const idx = physicsBodies.indexOf(body);
+        if (idx !== -1) {
+            physicsBodies[idx] = null;
+            physicsMeshes[idx] = null;
+        }
+    });
+    
+    return mesh;
 }
 
-function registerPhysicsObject(body, geometry, material, lifetime = 10000) {
+function registerPhysicsObject(body, geometry, material, lifetime = 10) {
     world.addBody(body);
+    resetInterpolation(body);
     
     const mesh = new THREE.Mesh(geometry, material);
     mesh.castShadow = true;
     mesh.receiveShadow = true;
     scene.add(mesh);
     
-    const index = physicsBodies.length;
     physicsBodies.push(body);
     physicsMeshes.push(mesh);
     
     // Cleanup with proper array management
-    setTimeout(() => {
+    simClock.after(lifetime, () => {
         world.removeBody(body);
         scene.remove(mesh);
         geometry.dispose();
@@ -1967,58 +3473,698 @@ function registerPhysicsObject(body, geometry, material, lifetime = 10000) {
             physicsBodies[idx] = null;
             physicsMeshes[idx] = null;
         }
-    }, lifetime);
+    });
+}
+
+// Bodies positioned after construction still have a stale previousPosition
+// until their first step - which would draw them at the origin for a frame
+function resetInterpolation(body) {
+    body.previousPosition.copy(body.position);
+    body.previousQuaternion.copy(body.quaternion);
 }
 
 // Periodic cleanup of null entries
-setInterval(() => {
+simClock.every(5, () => {
     physicsBodies = physicsBodies.filter(b => b !== null);
     physicsMeshes = physicsMeshes.filter(m => m !== null);
-}, 5000);
+});
 
 // --- UI UPDATES ---
-function updateTimestamp() {
-    const elapsed = Date.now() - startTime;
+let shownStatus = null;
+
+// Status of whoever's bodycam is on screen (only touches the DOM on change)
+function updateStatusDisplay() {
+    if (!npc || npc.statusLabel === shownStatus) return;
+    shownStatus = npc.statusLabel;
+    if (window.updateNPCStatus) window.updateNPCStatus(shownStatus);
+}
+
+let shownHeartRate = null;
+let shownBreathRate = null;
+let shownHealth = null;
+
+// Vitals of whoever's bodycam is on screen, from their physiology model
+function updateVitalsDisplay() {
+    if (!npc) return;
+    const { heartRate, breathRate } = npc.vitals.getState();
+    if (heartRate !== shownHeartRate) {
+        shownHeartRate = heartRate;
+        document.getElementById('heart-rate').textContent = heartRate;
+    }
+    if (breathRate !== shownBreathRate) {
+        shownBreathRate = breathRate;
+        document.getElementById('resp-rate').textContent = breathRate;
+    }
+    
+    const health = `${Math.round(npc.health.health * 100)}% ${npc.health.label}`;
+    if (health !== shownHealth) {
+        shownHealth = health;
+        const el = document.getElementById('health');
+        el.textContent = health;
+        el.className = npc.health.health < 0.6 ? 'hurt' : '';
+    }
+}
+
+let shownCall = null;
+
+// Call screen while whoever's bodycam is on screen is on the phone to 911
+function updatePhoneDisplay() {
+    if (!npc) return;
+    let call = '';
+    if (npc.status === 'PHONE') {
+        const connected = npc.callTime - CONFIG.behaviour.dialTime;
+        call = connected < 0
+            ? 'CALLING 911...'
+            : `911 EMERGENCY ${formatTimestamp(connected).slice(3, 8)}`;
+    }
+    if (call === shownCall) return;
+    shownCall = call;
+    const el = document.getElementById('phone-overlay');
+    el.textContent = call;
+    el.classList.toggle('active', call !== '');
+}
+
+// Blur and red edges on a bodycam feed from its wearer's injuries
+function applyInjuryVision(pass, civilian) {
+    pass.uniforms['blur'].value = civilian.health.blur;
+    pass.uniforms['injury'].value = civilian.health.tint;
+}
+
+// The on-screen civilian's own breathing, in the head - louder and quicker as they pant
+let breathingSound = null;
+const BREATHING_SAMPLE_RATE = 37.5; // Breaths per minute in the breathing sound at normal speed
+
+function updateBreathingAudio() {
+    if (!npc) return;
+    if (!breathingSound) breathingSound = playSound('breathing', { volume: 0, loop: true });
+    if (!breathingSound) return; // Not loaded yet
+    breathingSound.setVolume(npc.vitals.panting * 0.6);
+    breathingSound.setPlaybackRate(THREE.MathUtils.clamp(npc.vitals.breathRate / BREATHING_SAMPLE_RATE, 0.8, 1.25));
+}
+
+function formatTimestamp(time) {
+    const elapsed = time * 1000;
     const hours = Math.floor(elapsed / 3600000);
     const minutes = Math.floor((elapsed % 3600000) / 60000);
     const seconds = Math.floor((elapsed % 60000) / 1000);
     const frames = Math.floor((elapsed % 1000) / 33);
     
     const pad = n => String(n).padStart(2, '0');
-    document.getElementById('timestamp').textContent = 
-        `${pad(hours)}:${pad(minutes)}:${pad(seconds)}:${pad(frames)}`;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}:${pad(frames)}`;
+}
+
+function updateTimestamp() {
+    document.getElementById('timestamp').textContent = formatTimestamp(simClock.time);
+}
+
+function camLabel(civilian) {
+    return `CAM_${String(civilian.id + 1).padStart(2, '0')}`;
+}
+
+function updateCamId() {
+    document.querySelector('.cam-id').textContent = `${camLabel(npc)} [NPC_CIVILIAN]`;
+}
+
+// --- BODYCAM SWITCHING ---
+// Put another civilian's bodycam on screen (index wraps around the crowd).
+// The audio listener moves with it.
+function switchBodycam(index) {
+    if (crowd.length === 0 || !renderPass) return;
+    const next = crowd[((index % crowd.length) + crowd.length) % crowd.length];
+    if (next === npc) return;
+    
+    npc = next;
+    if (!replay) {
+        // The director follows the watched civilian - an input, so replays follow too
+        directorFocus = npc;
+        eventLog.input('focus', { index: crowd.indexOf(npc) });
+    }
+    camera = npc.camera;
+    renderPass.camera = camera;
+    if (audio) audio.attachTo(camera);
+    updateCamId();
+    controlRoom.feeds.forEach(feed => feed.cell.classList.toggle('selected', feed.civilian === npc));
+    console.log(`Bodycam: ${camLabel(npc)}`);
+}
+
+function cycleBodycam(step) {
+    switchBodycam(crowd.indexOf(npc) + step);
+}
+
+// --- CONTROL ROOM ---
+// Several feeds at once, each through its own EffectComposer + BodyCamShader
+// pass, drawn into its own viewport of the one canvas. Click a feed to watch it full screen.
+function toggleControlRoom(active = !controlRoom.active) {
+    if (!composer || active === controlRoom.active) return;
+    controlRoom.active = active;
+    if (active) openControlRoom();
+    else closeControlRoom();
+    document.body.classList.toggle('control-room', active);
+}
+
+function openControlRoom() {
+    const container = document.getElementById('control-room');
+    controlRoom.feeds = crowd.slice(0, CONFIG.controlRoom.maxFeeds).map(civilian => {
+        const feedComposer = new EffectComposer(renderer);
+        feedComposer.addPass(new RenderPass(scene, civilian.camera));
+        const pass = new ShaderPass(BodyCamShader);
+        applyCameraPreset(pass, cameraPreset);
+        feedComposer.addPass(pass);
+        
+        const cell = document.createElement('div');
+        cell.className = 'feed';
+        cell.classList.toggle('selected', civilian === npc);
+        const id = document.createElement('div');
+        id.className = 'feed-id';
+        id.textContent = camLabel(civilian);
+        const status = document.createElement('div');
+        status.className = 'feed-status';
+        const time = document.createElement('div');
+        time.className = 'feed-time';
+        const vitals = document.createElement('div');
+        vitals.className = 'feed-vitals';
+        cell.append(id, status, vitals, time);
+        cell.addEventListener('click', () => {
+            switchBodycam(crowd.indexOf(civilian));
+            toggleControlRoom(false);
+        });
+        container.appendChild(cell);
+        
+        return { civilian, composer: feedComposer, pass, cell, status, vitals, time, shownStatus: null };
+    });
+    layoutControlRoom();
+    console.log(`Control room: ${controlRoom.feeds.length} feeds`);
+}
+
+function closeControlRoom() {
+    for (const feed of controlRoom.feeds) {
+        feed.composer.passes.forEach(pass => pass.dispose());
+        feed.composer.dispose();
+    }
+    controlRoom.feeds = [];
+    document.getElementById('control-room').replaceChildren();
+    
+    // Back to full screen aspect
+    for (const civilian of crowd) {
+        civilian.camera.aspect = window.innerWidth / window.innerHeight;
+        civilian.camera.updateProjectionMatrix();
+    }
+}
+
+// Columns x rows as square as possible; every feed camera gets the cell aspect
+function layoutControlRoom() {
+    const count = controlRoom.feeds.length;
+    const columns = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / columns);
+    controlRoom.columns = columns;
+    controlRoom.cellWidth = Math.floor(window.innerWidth / columns);
+    controlRoom.cellHeight = Math.floor(window.innerHeight / rows);
+    
+    const container = document.getElementById('control-room');
+    container.style.gridTemplateColumns = `repeat(${columns}, ${controlRoom.cellWidth}px)`;
+    container.style.gridTemplateRows = `repeat(${rows}, ${controlRoom.cellHeight}px)`;
+    
+    for (const feed of controlRoom.feeds) {
+        feed.composer.setSize(controlRoom.cellWidth, controlRoom.cellHeight);
+        feed.civilian.camera.aspect = controlRoom.cellWidth / controlRoom.cellHeight;
+        feed.civilian.camera.updateProjectionMatrix();
+    }
+}
+
+function renderControlRoom() {
+    const { columns, cellWidth, cellHeight } = controlRoom;
+    const timestamp = formatTimestamp(simClock.time);
+    
+    renderer.setScissorTest(true);
+    controlRoom.feeds.forEach((feed, i) => {
+        // Viewports count from the bottom left, the grid from the top left
+        const x = (i % columns) * cellWidth;
+        const y = window.innerHeight - (Math.floor(i / columns) + 1) * cellHeight;
+        renderer.setViewport(x, y, cellWidth, cellHeight);
+        renderer.setScissor(x, y, cellWidth, cellHeight);
+        
+        for (const civilian of crowd) civilian.mesh.visible = civilian !== feed.civilian;
+        feed.pass.uniforms['time'].value = simClock.time + feed.civilian.id * 13.7; // Own noise pattern
+        feed.pass.uniforms['aspect'].value = cellWidth / cellHeight;
+        applyInjuryVision(feed.pass, feed.civilian);
+        feed.composer.render();
+        
+        feed.time.textContent = timestamp;
+        feed.vitals.textContent = `HR: ${Math.round(feed.civilian.vitals.heartRate)} BPM`;
+        if (feed.civilian.statusLabel !== feed.shownStatus) {
+            const label = feed.shownStatus = feed.civilian.statusLabel;
+            feed.status.textContent = label;
+            feed.status.classList.toggle('panic', label === 'PANIC' || label === 'FLEEING' || label === 'FROZEN');
+            feed.status.classList.toggle('cowering', label === 'HIDING' || label === 'COWERING' || label === 'INVESTIGATING');
+        }
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+}
+
+// --- RECORDING ---
+let autoStopRecording = null; // Sim clock task ending an automatic chaos clip
+
+function startRecording() {
+    if (!recorder) return;
+    recorder.start();
+    updateClipDisplay();
+}
+
+// Resolves with the saved clip (a WebM Blob), or null if nothing was recording
+function stopRecording() {
+    if (!recorder) return Promise.resolve(null);
+    simClock.cancel(autoStopRecording);
+    autoStopRecording = null;
+    const saved = recorder.stop();
+    updateClipDisplay();
+    return saved;
+}
+
+function toggleRecording() {
+    if (recorder && recorder.recording) stopRecording();
+    else startRecording();
+}
+
+// CONFIG.recording.autoRecordChaos: each event starts (or extends) a clip,
+// pre-roll included, that stops a while after the last one
+function recordChaos() {
+    if (!recorder) return;
+    if (!recorder.recording) startRecording();
+    else if (autoStopRecording === null) return; // Started by hand - stopped by hand
+    simClock.cancel(autoStopRecording);
+    autoStopRecording = simClock.after(CONFIG.recording.afterChaos, stopRecording);
+}
+
+let shownClip = null;
+
+function updateClipDisplay() {
+    const clip = recorder && recorder.recording
+        ? `CLIP ${formatTimestamp(recorder.clipLength).slice(3, 8)}`
+        : '';
+    if (clip === shownClip) return;
+    shownClip = clip;
+    document.getElementById('clip-status').textContent = clip;
+}
+
+// --- TIME CONTROL ---
+function pauseSimulation() {
+    timeControl.paused = true;
+    timeControl.accumulator = 0;
+    if (audio) audio.setPaused(true);
+    updateTimeStatus();
+}
+
+function resumeSimulation() {
+    timeControl.paused = false;
+    timeControl.pendingSteps = 0;
+    clock.getDelta(); // Don't count the time spent paused
+    if (audio) audio.setPaused(false);
+    updateTimeStatus();
+}
+
+function togglePause() {
+    if (timeControl.paused) resumeSimulation();
+    else pauseSimulation();
+}
+
+// Advance exactly `count` ticks, pausing first if needed
+function stepFrames(count = 1) {
+    if (!timeControl.paused) pauseSimulation();
+    timeControl.pendingSteps += Math.max(1, Math.floor(count));
+}
+
+function setTimeScale(scale) {
+    const scales = CONFIG.simulation.timeScales;
+    timeControl.timeScale = THREE.MathUtils.clamp(scale, scales[0], scales[scales.length - 1]);
+    updateTimeStatus();
+}
+
+// Move one notch along CONFIG.simulation.timeScales
+function shiftTimeScale(direction) {
+    const scales = CONFIG.simulation.timeScales;
+    let index = scales.findIndex(s => s >= timeControl.timeScale - 1e-6);
+    if (index === -1) index = scales.length - 1;
+    index = THREE.MathUtils.clamp(index + direction, 0, scales.length - 1);
+    setTimeScale(scales[index]);
+}
+
+// How many fixed ticks to run this frame
+function consumeSimTicks(realDt) {
+    if (timeControl.paused) {
+        const steps = timeControl.pendingSteps;
+        timeControl.pendingSteps = 0;
+        timeControl.alpha = 1;
+        return steps;
+    }
+    
+    timeControl.accumulator += realDt * timeControl.timeScale;
+    let ticks = Math.floor(timeControl.accumulator / SIM_TICK);
+    if (ticks > CONFIG.simulation.maxTicksPerFrame) {
+        // Machine can't keep up - drop the backlog instead of spiralling
+        ticks = CONFIG.simulation.maxTicksPerFrame;
+        timeControl.accumulator = 0;
+    } else {
+        timeControl.accumulator -= ticks * SIM_TICK;
+    }
+    timeControl.alpha = timeControl.accumulator / SIM_TICK;
+    return ticks;
+}
+
+// One fixed tick of the whole world: physics, timers, AI
+function stepSimulation(dt) {
+    applyReplayInputs();
+    world.step(dt);
+    
+    // Timers and per-tick tasks advance with the same dt as physics and AI
+    simClock.advance(dt);
+    
+    for (const civilian of crowd) {
+        civilian.update(dt);
+        civilian.logChanges();
+        recordTickPose(civilian.camera);
+        recordTickPose(civilian.mesh);
+    }
+}
+
+// Remember an object's pose at the last two ticks so rendering can
+// interpolate between them (keeps slow motion smooth)
+function recordTickPose(object) {
+    let pose = object.userData.tickPose;
+    if (!pose) {
+        pose = object.userData.tickPose = {
+            prevPosition: object.position.clone(),
+            prevQuaternion: object.quaternion.clone(),
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone()
+        };
+    }
+    pose.prevPosition.copy(pose.position);
+    pose.prevQuaternion.copy(pose.quaternion);
+    pose.position.copy(object.position);
+    pose.quaternion.copy(object.quaternion);
+}
+
+function applyInterpolatedPose(object, alpha) {
+    const pose = object.userData.tickPose;
+    if (!pose) return;
+    object.position.lerpVectors(pose.prevPosition, pose.position, alpha);
+    object.quaternion.slerpQuaternions(pose.prevQuaternion, pose.quaternion, alpha);
+}
+
+function updateTimeStatus() {
+    const el = document.getElementById('time-status');
+    if (timeControl.paused) {
+        el.textContent = '|| PAUSED';
+    } else if (timeControl.timeScale !== 1) {
+        el.textContent = `> ${timeControl.timeScale}x`;
+    } else {
+        el.textContent = '';
+    }
 }
 
 // --- RENDER LOOP ---
 function animate() {
     requestAnimationFrame(animate);
-    const dt = Math.min(clock.getDelta(), 0.1); // Cap delta to prevent physics explosions
-
-    // Physics step
-    world.step(1 / 60, dt, 3);
+    const realDt = Math.min(clock.getDelta(), 0.1); // Cap delta to prevent physics explosions
+    if (offlineRender.active) return; // renderOffline() steps and draws the frames
+    
+    const ticks = consumeSimTicks(realDt);
+    for (let i = 0; i < ticks; i++) {
+        stepSimulation(SIM_TICK);
+        if (replayEnded()) break;
+    }
+    renderFrame(timeControl.alpha);
+}
 
-    // Sync physics visuals (skip nulls)
+// Draw the world between the last two ticks (alpha 0-1 of the way to the latest)
+function renderFrame(alpha) {
+    // Sync physics visuals (skip nulls), interpolated between the last two ticks
     for (let i = 0; i < physicsBodies.length; i++) {
-        if (physicsBodies[i] && physicsMeshes[i]) {
-        physicsMeshes[i].position.copy(physicsBodies[i].position);
-        physicsMeshes[i].quaternion.copy(physicsBodies[i].quaternion);
+        const body = physicsBodies[i];
+        if (body && physicsMeshes[i]) {
+            body.previousPosition.lerp(body.position, alpha, physicsMeshes[i].position);
+            body.previousQuaternion.slerp(body.quaternion, alpha, physicsMeshes[i].quaternion);
         }
     }
+    for (const civilian of crowd) {
+        applyInterpolatedPose(civilian.camera, alpha);
+        applyInterpolatedPose(civilian.mesh, alpha);
+        civilian.mesh.visible = civilian !== npc; // Don't film the inside of your own head
+    }
+    updateBreathingAudio();
 
-    updateNPC(dt);
-
-    // Update shader
-    bodyCamPass.uniforms['time'].value = clock.getElapsedTime();
+    if (controlRoom.active) {
+        renderControlRoom();
+        return;
+    }
+    
+    // Update shader and HUD
+    bodyCamPass.uniforms['time'].value = simClock.time;
+    applyInjuryVision(bodyCamPass, npc);
+    updateTimestamp();
+    updateStatusDisplay();
+    updateVitalsDisplay();
+    updatePhoneDisplay();
+    updateClipDisplay();
+    if (hudPass.enabled) {
+        hudPass.uniforms['time'].value = simClock.time;
+        frameHud.update(simClock.time);
+    }
     
     composer.render();
 }
 
+// --- OFFLINE RENDER ---
+// Frame-perfect output: each frame advances the world exactly 1/fps of sim
+// time (whole ticks, the remainder interpolated like the live view) and is
+// saved as a numbered PNG, however long it takes to draw. Audio is paused.
+const offlineRender = {
+    active: false,
+    cancelled: false
+};
+
+/**
+ * @param {object} [options] - CONFIG.offlineRender overrides
+ * @returns {Promise<number>} frames written
+ */
+async function renderOffline(options = {}) {
+    if (offlineRender.active || !composer) return 0;
+    const o = { ...CONFIG.offlineRender, ...options };
+    const duration = replay && o.replayToEnd
+        ? Math.max(0, replay.ticks - simClock.frame) * SIM_TICK
+        : o.duration;
+    const frames = Math.round(duration * o.fps);
+    if (frames <= 0) {
+        console.warn('Offline render: nothing to render');
+        return 0;
+    }
+    
+    let exporter;
+    try {
+        exporter = await FrameExporter.open(o.format, `bodycam_${runSeed}_frames`);
+    } catch (e) {
+        console.error(`Offline render: ${e.message}`);
+        return 0;
+    }
+    
+    offlineRender.active = true;
+    offlineRender.cancelled = false;
+    if (audio) audio.setPaused(true);
+    const pixelRatio = renderer.getPixelRatio();
+    if (o.width && o.height) {
+        renderer.setPixelRatio(1);
+        resizeView(o.width, o.height, false);
+    }
+    console.log(`Offline render: ${frames} frames at ${o.fps} fps`);
+    
+    const startTick = simClock.frame;
+    const ticksPerFrame = 1 / (o.fps * SIM_TICK);
+    let written = 0;
+    try {
+        for (let i = 0; i < frames && !offlineRender.cancelled; i++) {
+            const tick = startTick + i * ticksPerFrame;
+            const whole = Math.floor(tick + 1e-9); // e.g. 25 fps: 2.4 ticks a frame
+            while (simClock.frame < whole) stepSimulation(SIM_TICK);
+            renderFrame(Math.max(0, tick - whole));
+            
+            const blob = await new Promise(resolve => renderer.domElement.toBlob(resolve, 'image/png'));
+            await exporter.write(`frame_${String(i + 1).padStart(5, '0')}.png`, blob);
+            written++;
+            // Progress outside the HUD, which may be in the frames
+            document.getElementById('render-status').textContent = `RENDER ${written}/${frames}`;
+        }
+        await exporter.close();
+    } catch (e) {
+        console.error(`Offline render stopped after ${written} frames: ${e.message}`);
+    }
+    
+    if (o.width && o.height) {
+        renderer.setPixelRatio(pixelRatio);
+        resizeView(window.innerWidth, window.innerHeight);
+    }
+    if (audio) audio.setPaused(timeControl.paused);
+    timeControl.accumulator = 0;
+    offlineRender.active = false;
+    document.getElementById('render-status').textContent = '';
+    return written;
+}
+
+function toggleOfflineRender() {
+    if (offlineRender.active) offlineRender.cancelled = true;
+    else renderOffline();
+}
+
 // --- EVENT HANDLERS ---
 window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
+    if (!offlineRender.active) resizeView(window.innerWidth, window.innerHeight);
+});
+
+// Drawing size for every bodycam (updateStyle false leaves the page layout alone)
+function resizeView(width, height, updateStyle = true) {
+    camera.aspect = width / height;
     camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    composer.setSize(window.innerWidth, window.innerHeight);
+    for (const civilian of crowd) {
+        if (civilian.camera === camera) continue;
+        civilian.camera.aspect = camera.aspect;
+        civilian.camera.updateProjectionMatrix();
+    }
+    renderer.setSize(width, height, updateStyle);
+    composer.setSize(width, height);
+    bodyCamPass.uniforms['aspect'].value = width / height;
+    sizeFrameHud();
+    if (controlRoom.active) layoutControlRoom();
+}
+
+// --- IN-FRAME HUD ---
+// The HTML HUD hides while it's drawn into the frame (main.js keeps updating
+// it - FrameHud reads it from there)
+function setFrameHud(inFrame = !hudPass.enabled) {
+    if (!hudPass) return;
+    hudPass.enabled = inFrame;
+    document.body.classList.toggle('frame-hud', inFrame);
+}
+
+// Matches the drawing buffer, at the page's CSS pixel scale
+function sizeFrameHud() {
+    if (!frameHud) return;
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    frameHud.setSize(size.x, size.y, renderer.getPixelRatio());
+    hudPass.uniforms['resolution'].value.copy(size);
+}
+
+// --- CAMERA MODEL ---
+// Every bodycam pass (full screen and control room feeds) shows the same kind
+// of camera. Rendering only - replays and the event log don't depend on it.
+// Returns false for an unknown preset (and keeps the current one).
+function setCameraPreset(name) {
+    if (!CAMERA_PRESETS[name]) {
+        console.warn(`Unknown camera preset "${name}" (known: ${Object.keys(CAMERA_PRESETS).join(', ')})`);
+        return false;
+    }
+    cameraPreset = name;
+    applyCameraPreset(bodyCamPass, name);
+    for (const feed of controlRoom.feeds) applyCameraPreset(feed.pass, name);
+    console.log(`Camera: ${CAMERA_PRESETS[name].label}`);
+    return true;
+}
+
+function cycleCameraPreset(step = 1) {
+    const names = Object.keys(CAMERA_PRESETS);
+    const index = (names.indexOf(cameraPreset) + step + names.length) % names.length;
+    setCameraPreset(names[index]);
+}
+
+// Time control hotkeys: Space/P pause, . step one tick, [ ] slower/faster, \ normal speed
+window.addEventListener('keydown', e => {
+    if (e.repeat && e.code !== 'Period') return;
+    switch (e.code) {
+        case 'Space':
+        case 'KeyP':
+            e.preventDefault();
+            togglePause();
+            break;
+        case 'Period':
+            stepFrames(1);
+            break;
+        case 'BracketLeft':
+            shiftTimeScale(-1);
+            break;
+        case 'BracketRight':
+            shiftTimeScale(1);
+            break;
+        case 'Backslash':
+            setTimeScale(1);
+            break;
+    }
+});
+
+// Bodycam hotkeys: Left/Right cycle civilians, 1-9 pick one, G control room grid, R record,
+// L download the event log, O offline render, H HUD in the frame / on top, C camera model
+window.addEventListener('keydown', e => {
+    if (e.repeat) return;
+    if (e.code === 'ArrowRight') cycleBodycam(1);
+    else if (e.code === 'ArrowLeft') cycleBodycam(-1);
+    else if (e.code === 'KeyG') toggleControlRoom();
+    else if (e.code === 'KeyR') toggleRecording();
+    else if (e.code === 'KeyL') downloadEventLog();
+    else if (e.code === 'KeyO') toggleOfflineRender();
+    else if (e.code === 'KeyH') setFrameHud();
+    else if (e.code === 'KeyC') cycleCameraPreset();
+    else if (/^Digit[1-9]$/.test(e.code)) {
+        const index = Number(e.code.slice(5)) - 1;
+        if (index < crowd.length) switchBodycam(index);
+    }
+});
+
+// JS API for tooling / automated captures
+window.bodycam = {
+    pause: pauseSimulation,
+    resume: resumeSimulation,
+    togglePause,
+    step: stepFrames,
+    setTimeScale,
+    getTimeScale: () => timeControl.timeScale,
+    isPaused: () => timeControl.paused,
+    getSimTime: () => simClock.time,
+    registerChaosEvent,
+    triggerChaos,
+    listChaosEvents: () => chaosRegistry.ids(),
+    getDirectorState: () => director && director.getState(),
+    getCrowd: () => crowd.map(civilian => civilian.getState()),
+    switchBodycam,
+    getBodycam: () => npc && npc.id,
+    setControlRoom: toggleControlRoom,
+    startRecording,
+    stopRecording,
+    isRecording: () => !!recorder && recorder.recording,
+    getEventLog: () => eventLog && eventLog.toJSON(),
+    downloadEventLog,
+    playReplay,
+    renderOffline,
+    setFrameHud,
+    setCameraPreset,
+    getCameraPreset: () => cameraPreset,
+    listCameraPresets: () => Object.keys(CAMERA_PRESETS),
+    cancelOfflineRender: () => { offlineRender.cancelled = true; },
+    isReplay: () => replay !== null,
+    verifyReplay: () => eventLog.verify(`watched from ${camLabel(npc)}`)
+};
+
+// Drop a downloaded event log on the page to replay it
+window.addEventListener('dragover', e => e.preventDefault());
+window.addEventListener('drop', e => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => playReplay(JSON.parse(text)))
+        .catch(err => console.error(`Not an event log: ${err.message}`));
+});
+
+// Browsers keep Web Audio suspended until the first user gesture
+['pointerdown', 'keydown'].forEach(type => {
+    window.addEventListener(type, () => audio && audio.unlock());
 });
 
 // Prevent context menu on right click